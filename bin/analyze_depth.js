@@ -0,0 +1,115 @@
+// runs stored depth through the same analysis the installation runs live ( presence zone, frame difference, motion
+// && optical flow, see ../installation/depth-worker.js ) && prints a line per frame. either the keyframes of sessions
+// in the database ( all of them when no ids are given ) or every frame of a .kdr recording, which is filtered first
+// like the live stream is. the zone && depth filter settings are read from the controls-client's settings.json
+//
+// usage: node analyze_depth.js [session id ...] [--db mongodb://localhost:4003/emerge]
+//        node analyze_depth.js --recording <recording.kdr>
+//
+// columns: source, frame, stored ( a keyframe's motionValue, the motion gate when it was saved ), motion, changed
+// ( % of pixels ), noise ( DepthDifference.noise ), flow u && v ( pixels per frame ), nearest ( mm inside the zone )
+
+var fs = require('fs');
+var path = require('path');
+
+var KinectCalibration = require('../share/KinectCalibration');
+var DepthFilter = require('../share/DepthFilter');
+var PresenceZone = require('../share/PresenceZone');
+var DepthCodec = require('../share/DepthCodec');
+var DepthDifference = require('../share/DepthDifference');
+var OpticalFlowField = require('../share/OpticalFlowField');
+
+var args = process.argv.slice(2);
+var opts = { db: 'mongodb://localhost:4003/emerge', recording: null, ids: [] };
+
+for (var i = 0; i < args.length; i++) {
+	if( args[i] == '--db' ) opts.db = args[++i];
+	else if( args[i] == '--recording' ) opts.recording = args[++i];
+	else opts.ids.push( args[i] );
+}
+
+var PARAM = JSON.parse( fs.readFileSync( path.join( __dirname, '../installation/controls-client/settings.json' ) ) );
+
+
+// ------------
+// ---------------------- ------ -- Analysis
+// ------------ ----
+// ---- ( one per source, frames have to arrive in order for the difference && flow to mean anything )
+
+function Analysis( name, width, height ) {
+	this.name = name;
+	this.calibration = new KinectCalibration();
+	this.zone = new PresenceZone({ width: width, height: height, calibration: this.calibration });
+	this.zone.set( PARAM.zone );
+	this.difference = new DepthDifference({ width: width, height: height });
+	this.flow = new OpticalFlowField({ width: width, height: height });
+	this.mm = new Float32Array( width * height );
+	this.count = 0;
+}
+
+Analysis.prototype.frame = function( depth, stored ) {
+
+	this.zone.update( depth );
+	this.difference.addFrame( depth, this.zone.active );
+	this.flow.addFrame( depth, this.zone.active );
+
+	var mm = DepthCodec.millimetres( depth, this.calibration, this.mm );
+	var active = this.zone.active, mask = this.difference.mask;
+	var nearest = Infinity, changed = 0;
+	for (var p = 0; p < mm.length; p++) {
+		if( mask[p] === 1 ) changed++;
+		if( active[p] === 1 && mm[p] > 0 && mm[p] < nearest ) nearest = mm[p];
+	}
+
+	console.log([
+		this.name,
+		this.count++,
+		( typeof stored === "number" ) ? stored : '-',
+		this.difference.motion.toFixed(5),
+		( changed / mm.length * 100 ).toFixed(2),
+		this.difference.noise.toFixed(1),
+		this.flow.u.toFixed(2),
+		this.flow.v.toFixed(2),
+		( nearest < Infinity ) ? Math.round( nearest ) : '-'
+	].join('\t'));
+};
+
+
+console.log( [ 'source', 'frame', 'stored', 'motion', 'changed', 'noise', 'flow u', 'flow v', 'nearest' ].join('\t') );
+
+if( opts.recording !== null ){
+
+	var DepthRecordingReader = require('../installation/kinect-daemon/recording').DepthRecordingReader;
+	var recording = new DepthRecordingReader( opts.recording );
+	var analysis = new Analysis( path.basename( opts.recording ), recording.width, recording.height );
+	var filter = new DepthFilter({ width: recording.width, height: recording.height, calibration: analysis.calibration });
+	filter.set( PARAM.depthFilter );
+
+	for (var f = 0; f < recording.frames.length; f++) {
+		analysis.frame( filter.filter( new Uint8Array( recording.read( f ).depth ) ) );
+	}
+	recording.close();
+
+} else {
+
+	var mongoose = require('../installation/node_modules/mongoose');
+	var seshModel = require('../installation/models/session.js');
+	var query = ( opts.ids.length > 0 ) ? { id: { $in: opts.ids } } : {};
+
+	mongoose.connect( opts.db );
+	seshModel.find( query, function( err, docs ){
+		if( err ){
+			console.error( err );
+			mongoose.disconnect();
+			process.exit(1);
+		} else {
+			docs.forEach(function( doc ){
+				var analysis = new Analysis( doc.id, 640, 480 );
+				doc.keyFrames.forEach(function( kf ){
+					analysis.frame( DepthCodec.fromBase64( kf.depthData ), kf.motionValue );
+				});
+			});
+		}
+		mongoose.disconnect();
+	});
+}
@@ -1,36 +1,207 @@
 var spawn = require('child_process').spawn;
 var fs = require('fs');
+var http = require('http');
 
-launchKinectDaemon();
+// supervises the kinect-daemon: watches its /status route ( see installation/kinect-daemon/health.js )
+// and restarts it with exponential backoff when it exits, errors or silently stops sending frames.
+// every restart is kept in a history and pushed to clients of :8009 as a 'kinect-alert' event
+// ( the installation relays these to the controls-client ), the history is also served as json on /history
 
-function launchKinectDaemon() {
+var STATUS_URL = 'http://localhost:8008/status';
+var ALERT_PORT = 8009;
+var POLL_INTERVAL = 1000;		// ms between status polls
+var STARTUP_GRACE = 15000;		// ms a fresh daemon gets to open the device and send its first frame
+var STALL_TIMEOUT = 5000;		// ms without a frame before the daemon counts as stalled
+var UNREACHABLE_LIMIT = 5;		// failed polls in a row before a running daemon counts as hung
+var KILL_TIMEOUT = 3000;		// ms to wait after SIGTERM before sending SIGKILL
+var BACKOFF_MIN = 1000;
+var BACKOFF_MAX = 60000;
+var HEALTHY_RESET = 60000;		// ms of streaming before the backoff drops back to BACKOFF_MIN
+var HISTORY_LENGTH = 50;
 
-	var proc = spawn('bash', [__dirname + '/launch_kinect_daemon.sh']);
-	fs.writeFileSync(__dirname + '/../pid/launch-kinect-daemon.pid', proc.pid + '\n', 'utf8');
+var server = http.createServer(function (req, res) {
+	if (req.url == '/history') {
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ restarts: Supervisor.restarts, history: Supervisor.history }));
+	} else {
+		res.writeHead(404);
+		res.end();
+	}
+});
+var io = require(__dirname + '/../installation/node_modules/socket.io')(server);
 
-	proc.stdout.on('data', function (data) {
-	  process.stdout.write(data);
-	});
+io.on('connection', function (socket) {
+	socket.emit('kinect-history', Supervisor.history);
+});
+
+server.listen(ALERT_PORT);
+
+
+var Supervisor = {
+	proc: null,
+	startedAt: 0,
+	backoff: BACKOFF_MIN,
+	failedPolls: 0,
+	healthySince: null,
+	killing: false,
+	reason: null,		// why we're killing the current process, null if it exited on its own
+	restarts: 0,
+	history: [],
+	launch: function () {
+
+		var self = this;
+		var proc = spawn('bash', [__dirname + '/launch_kinect_daemon.sh']);
+		fs.writeFileSync(__dirname + '/../pid/launch-kinect-daemon.pid', proc.pid + '\n', 'utf8');
+
+		this.proc = proc;
+		this.startedAt = Date.now();
+		this.failedPolls = 0;
+		this.healthySince = null;
+		this.killing = false;
+		this.reason = null;
+
+		proc.stdout.on('data', function (data) {
+		  process.stdout.write(data);
+		});
+
+		proc.stderr.on('data', function (data) {
+			process.stderr.write(data);
+			var error = fatalError(data.toString());
+		  	if (error !== null) self.restart('daemon reported "' + error + '"');
+		});
+
+		proc.on('close', function (code) {
+			console.log('child process exited with code', code);
+			self.onExit(code);
+		});
+	},
+	restart: function (reason) {
+
+		if (this.proc === null || this.killing) return;
+
+		var proc = this.proc;
+		this.killing = true;
+		this.reason = reason;
+		console.log('restarting kinect-daemon: ' + reason);
+
+		proc.kill('SIGTERM');
+		setTimeout(function () {
+			if (Supervisor.proc === proc) proc.kill('SIGKILL');
+		}, KILL_TIMEOUT);
+	},
+	onExit: function (code) {
+
+		var delay = this.backoff;
+		var entry = {
+			time: new Date().toISOString(),
+			reason: this.reason || 'exited with code ' + code,
+			code: code,
+			uptime: Math.round((Date.now() - this.startedAt) / 1000),
+			restartIn: delay
+		};
+
+		this.proc = null;
+		this.restarts++;
+		this.history.push(entry);
+		if (this.history.length > HISTORY_LENGTH) this.history.shift();
+		this.backoff = Math.min(this.backoff * 2, BACKOFF_MAX);
+
+		io.emit('kinect-alert', {
+			time: entry.time,
+			reason: entry.reason,
+			uptime: entry.uptime,
+			restartIn: entry.restartIn,
+			restarts: this.restarts
+		});
 
-	proc.stderr.on('data', function (data) {
-		// console.log('stderr:', data.toString());
-		process.stderr.write(data);
-	  	if(isError(data.toString())) {
-	  		proc.kill('SIGTERM');
-	  	}
+		setTimeout(function () { Supervisor.launch(); }, delay);
+	},
+	poll: function () {
+
+		var self = this;
+		if (this.proc === null || this.killing) return;
+
+		getStatus(function (err, status) {
+
+			if (self.proc === null || self.killing) return;
+
+			var running = Date.now() - self.startedAt;
+
+			if (err) {
+				self.failedPolls++;
+				if (running > STARTUP_GRACE && self.failedPolls >= UNREACHABLE_LIMIT) {
+					self.restart('status unreachable for ' + self.failedPolls + ' polls ( ' + err.message + ' )');
+				}
+				return;
+			}
+
+			self.failedPolls = 0;
+
+			// every attached kinect has to be healthy, the combined stream only runs while someone watches it
+			var devices = (status.devices || [status]).filter(function (d) { return d.source != 'combined'; });
+			var streaming = true;
+
+			for (var i = 0; i < devices.length; i++) {
+				var d = devices[i];
+				var name = (devices.length > 1) ? 'device ' + d.device.id + ' ' : '';
+				if (d.device.state == 'error') {
+					return self.restart(name + 'device error: ' + d.device.error);
+				} else if (d.msSinceLastFrame === null && running > STARTUP_GRACE) {
+					return self.restart(name + 'no frames ' + Math.round(running / 1000) + 's after starting');
+				} else if (d.msSinceLastFrame > STALL_TIMEOUT) {
+					return self.restart(name + 'stalled, no frames for ' + Math.round(d.msSinceLastFrame / 1000) + 's');
+				}
+				if (d.device.state != 'streaming') streaming = false;
+			}
+
+			if (streaming) {
+				if (self.healthySince === null) self.healthySince = Date.now();
+				if (Date.now() - self.healthySince > HEALTHY_RESET) self.backoff = BACKOFF_MIN;
+			} else {
+				self.healthySince = null;
+			}
+		});
+	}
+};
+
+Supervisor.launch();
+setInterval(function () { Supervisor.poll(); }, POLL_INTERVAL);
+
+
+function getStatus(callback) {
+
+	var done = false;
+	function finish(err, status) {
+		if (done) return;
+		done = true;
+		callback(err, status);
+	}
+
+	var req = http.get(STATUS_URL, function (res) {
+		var body = '';
+		res.on('data', function (chunk) { body += chunk; });
+		res.on('end', function () {
+			try { finish(null, JSON.parse(body)); }
+			catch (e) { finish(e); }
+		});
 	});
 
-	proc.on('close', function (code) {
-	  console.log('child process exited with code', code);
-	  setTimeout(launchKinectDaemon, 1000);
+	req.on('error', finish);
+	req.setTimeout(POLL_INTERVAL * 2, function () {
+		req.abort();
+		finish(new Error('timed out'));
 	});
 }
 
-function isError(data) {
-	if (data.indexOf("USB camera marked dead, stopping streams") !== -1) return true;
-	else if (data.indexOf("(node) warning: possible EventEmitter memory leak detected") !== -1) return true;
-	else if (data.indexOf("Error: No kinect devices present") !== -1) return true;
-	else if (data.indexOf("total packets in 0 frames (inf lppf)") !== -1) return true;
-	else return false;
+// errors libfreenect only ever reports on stderr
+function fatalError(data) {
+	var errors = [
+		"USB camera marked dead, stopping streams",
+		"Error: No kinect devices present",
+		"total packets in 0 frames (inf lppf)"
+	];
+	for (var i = 0; i < errors.length; i++) {
+		if (data.indexOf(errors[i]) !== -1) return errors[i];
+	}
+	return null;
 }
-
@@ -1,4 +1,4 @@
-var socket = io.connect('http://localhost:8008');
+var socket = io.connect('http://localhost:8008', { query: 'ack=1' });
 
 
 
@@ -52,9 +52,10 @@ function setup() {
 	diffTex.needsUpdate = true;
 
 	// optical flow -----------------------------------
-	flowField = new OpticalFlowField(640, 480, 10, false);
-	flowTex = new THREE.Texture(flowField.canvas);
-	flowTex.minFilter = THREE.NearestFilter;
+	flowField = new OpticalFlowField();
+	flowTex = new THREE.DataTexture(flowField.field, flowField.columns, flowField.rows, THREE.RGBAFormat);
+	flowTex.minFilter = THREE.LinearFilter;
+	flowTex.magFilter = THREE.LinearFilter;
 	flowTex.needsUpdate = true;
 
 
@@ -79,7 +80,9 @@ function setup() {
 			{ name: "param3", type:"f", value: 0.2 },			
 			// { name: "canvTex", type:"t", value: CanvTex(10) },
 			{ name: "diffTex", type: "t", value: diffTex },
-			{ name: "flowTex", type: "t", value: flowTex }
+			{ name: "flowTex", type: "t", value: flowTex },
+			{ name: "flowMotion", type: "v2", value: new THREE.Vector2() },
+			{ name: "flowAmount", type:"f", value: 60.0 }
 		]
 	});
 
@@ -97,22 +100,25 @@ function setup() {
 			{ name: "time", type:"f", value: 0.0 },
 			{ name: "motion", type:"f", value: 1.0 },
 			{ name: "diffTex", type: "t", value: diffTex },
-			{ name: "flowTex", type: "t", value: flowTex }
+			{ name: "flowTex", type: "t", value: flowTex },
+			{ name: "flowMotion", type: "v2", value: new THREE.Vector2() },
+			{ name: "flowAmount", type:"f", value: 120.0 }
 		]
 	});
 
-	socket.on('kinect-depth', function(data) {
+	socket.on('kinect-depth', function(data, ack) {
 		
-		var d = new Uint8ClampedArray(data);
-		depth.updateCanvasData(d);
-		frameDiff.addFrame(depth.imageData.data);
-		flowField.addFrame(depth.imageData.data);
+		depth.readFrame(data);
+		frameDiff.addFrame(depth.data);
+		flowField.addFrame(depth.data);
+		flowTex.needsUpdate = true;
 		debug.innerHTML = frameDiff.motion;
 		console.log('motion: ' + frameDiff.motion);
 
 		wiremesh.update();
 		pointcloud.update();
 
+		if( typeof ack === "function" ) ack();
 	});
 
 
@@ -138,9 +144,6 @@ function setup() {
 	canvas.style.width = "100px";
 	document.body.appendChild(canvas);
 
-	flowField.depthCanvas.position = "absolute";
-	document.body.appendChild(flowField.depthCanvas);
-
 
 	/*
 		+	: zoom camera in
@@ -243,11 +246,13 @@ function draw() {
 	// update uniforms ----------------------------------------
 	if(typeof wiremesh !== "undefined" &&  wiremesh.loaded){
 		wiremesh.mesh.material.uniforms.time.value = time;
+		wiremesh.mesh.material.uniforms.flowMotion.value.set( flowField.u / flowField.maxSpeed, -flowField.v / flowField.maxSpeed );
 		// pointcloud.mesh.material.uniforms.motion.value = frameDiff.motion;
 	}
 	if(typeof pointcloud !== "undefined" && pointcloud.loaded){
 		pointcloud.mesh.material.uniforms.time.value = time;
 		pointcloud.mesh.material.uniforms.motion.value = frameDiff.motion;
+		pointcloud.mesh.material.uniforms.flowMotion.value.set( flowField.u / flowField.maxSpeed, -flowField.v / flowField.maxSpeed );
 	}
 	diffTex.needsUpdate = true;
 
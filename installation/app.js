@@ -1,8 +1,11 @@
 var nw = require('nw.gui');
 var win = nw.Window.get();
-var socket = io.connect('http://localhost:8008');
 var fs = require("fs");
 var spawn = require('child_process').spawn;
+// read current params from settings file ..................................................
+var PARAM = JSON.parse( fs.readFileSync(process.env.PWD+'/controls-client/settings.json') );
+// kinect-daemon channel for PARAM.kinectDevice ( changes take effect on restart ), frames are acknowledged ( see kinect-daemon/broadcaster.js )
+var socket = io.connect( DepthFromKinect.channel( PARAM.kinectDevice ), { query: 'ack=1' } );
 
 
 // ---------------------------------------------------------------------------------------------------------------
@@ -27,8 +30,58 @@ app.get('/emergeLogo.svg', function(req, res){
    res.sendFile( process.env.PWD + '/image/emergeLogo.svg');
 });
 
+// recording status reported by the kinect-daemon, relayed to the controls-client
+var recordingStatus = { recording: false, file: null, frames: 0, dropped: 0 };
+socket.on('recording', function(status){
+	recordingStatus = status;
+	io2.emit('recording', status);
+});
+
+// health of the kinect-daemon itself ( see kinect-daemon/health.js ), also relayed
+var kinectStatus = null;
+socket.on('status', function(status){
+	kinectStatus = status;
+	io2.emit('kinect-status', status);
+});
+
+// tilt motor, LED && accelerometer of the kinect ( see kinect-daemon/server.js ), also relayed
+var kinectMotor = null;
+socket.on('motor', function(motor){
+	kinectMotor = motor;
+	io2.emit('kinect-motor', motor);
+});
+
+// calibration of the kinect being streamed ( see share/KinectCalibration.js, set per device in kinect-daemon/devices.json ),
+// the published defaults until the daemon sends it. meshes, the presence zone && the depth filter convert with it
+var calibration = new KinectCalibration();
+socket.on('calibration', function(params){
+	calibration.set( params );
+	DepthWorker.calibration( calibration );
+	[ wiremesh, pointcloud, idleWiremesh, idlePointcloud ].forEach(function( mesh ){
+		if( typeof mesh !== "undefined" ) mesh.setCalibration( calibration );
+	});
+});
+
+// restart alerts from bin/launch_and_poll_kinect_daemon.js, relayed
+var supervisor = io.connect('http://localhost:8009');
+var kinectAlerts = [];
+supervisor.on('kinect-history', function(history){
+	kinectAlerts = history;
+	io2.emit('kinect-history', history);
+});
+supervisor.on('kinect-alert', function(alert){
+	console.log('kinect-daemon restarted: ' + alert.reason);
+	kinectAlerts.push(alert);
+	io2.emit('kinect-alert', alert);
+});
+
 io2.on('connection', function(soc){
 	
+	soc.emit('recording', recordingStatus);
+	if( kinectStatus !== null ) soc.emit('kinect-status', kinectStatus);
+	if( kinectMotor !== null ) soc.emit('kinect-motor', kinectMotor);
+	soc.emit('kinect-history', kinectAlerts);
+
 	fs.readFile(process.env.PWD+'/controls-client/settings.json', 'utf8', function (err, data) {
 		if (err) console.log(err); 
 		var json = JSON.parse(data);
@@ -36,13 +89,17 @@ io2.on('connection', function(soc){
 	});
 
 	soc.on('update-settings',function(set){
+		if( set.colorLook !== PARAM.colorLook ) socket.emit('kinect-video', { value: set.colorLook });
+		DepthWorker.settings( set );
+		if( typeof pointcloud !== "undefined" ) MotionGrid.resize( set.motionGrid[0], set.motionGrid[1] );
+		[ wiremesh, pointcloud, idleWiremesh, idlePointcloud ].forEach(function( mesh ){
+			if( typeof mesh !== "undefined" ) mesh.setRange( set.depthNear, set.depthFar );
+		});
 		PARAM = set;
 		var json = JSON.stringify( PARAM );
 		fs.writeFile(process.env.PWD+'/controls-client/settings.json', json, 'utf8', function(err) {
 			if(err) console.log(err);
 		});
-
-		onSocketReconnectIntervalChanged();
 	});
 
 	soc.on('action',function(obj){
@@ -51,11 +108,20 @@ io2.on('connection', function(soc){
 		else if( obj.type == "sesh"  && obj.value ) KeyFrame.initDoc();
 		else if( obj.type == "sesh"  && !obj.value ) sessionReset(0);
 		else if( obj.type == "kinect"&& obj.value ) spawn(process.env.PWD + '/../bin/kill_kinect_daemon.sh');
-		else if( obj.type == "rekinect"&& obj.value ) Latency.reconnect();
+		else if( obj.type == "record" ) socket.emit('record', { value: obj.value });
+		else if( obj.type == "tilt" ) socket.emit('tilt', { angle: obj.value });
+		else if( obj.type == "led" ) socket.emit('led', { state: obj.value });
+		else if( obj.type == "accelerometer" ) socket.emit('accelerometer');
+		else if( obj.type == "background" ) DepthWorker.resetBackground();
 	});
 
 });
 
+// kinect stream health for the controls-client ( see DepthFromKinect.stats )
+setInterval(function(){
+	if( typeof depth !== "undefined" ) io2.emit('stream-stats', depth.stats);
+}, 1000);
+
 http.listen(8003, function(){
   console.log('running server for controls-client on:8003');
 });
@@ -72,27 +138,27 @@ http.listen(8003, function(){
 // ---------------------------------------------------------------------------------------------------------------
 
 var scene, camera, renderer; 
-var depth, wiremesh, pointcloud, frameDiff, diffTex, flowField, flowTex; // live vars
-var idleDepth, idleDiffCanv, idleDiffCtx, idleDiffTex, idleDiffImg; // idle vars
+var source, depth, video, background, tracker, landmarks, wiremesh, pointcloud, frameDiff, diffTex, flowField, flowTex; // live vars
+var idleDepth, idleWiremesh, idlePointcloud, idleDiffCanv, idleDiffCtx, idleDiffTex, idleDiffImg; // idle vars
 var clearColor = new BB.Color( 30, 32, 47 );
-var socketReconnectIntervalId = null;
-// read current params from settings file ..................................................
-var PARAM = JSON.parse( fs.readFileSync(process.env.PWD+'/controls-client/settings.json') );
-onSocketReconnectIntervalChanged();
-
-function onSocketReconnectIntervalChanged() {
-	// latency issue.......
-	clearInterval(socketReconnectIntervalId);
-	if (PARAM.socketReconnectInterval !== 0) {
-		socketReconnectIntervalId = setInterval(function(){
-			Latency.reconnect();
-		},PARAM.socketReconnectInterval * 1000);
-	}
-}
 
 
 
 
+// depth comes from the kinect-daemon unless PARAM.depthSource says otherwise ( see share/DepthSource.js ):
+// "recording" plays the .kdr file at PARAM.depthSourceUrl, "websocket" reads millimetre depth from the feed at
+// PARAM.depthSourceUrl ( each message prefixed w/its uint16 width && height ), "synthetic" loops the
+// PARAM.syntheticScene ( see share/SyntheticDepth.js ) && needs no hardware at all
+function createDepthSource() {
+	var type = PARAM.depthSource || "kinect";
+	if( type == "recording" ) return new RecordingSource({ data: fs.readFileSync( PARAM.depthSourceUrl ) });
+	else if( type == "websocket" ) return new WebSocketSource({ url: PARAM.depthSourceUrl, header: true });
+	else if( type == "synthetic" ) return new SyntheticSource({ generate: SyntheticDepth.generator( PARAM.syntheticScene ) });
+	else return new KinectSocketSource({ socket: socket });
+}
+
+
+
 // 																							 _____________
 //__________________________________________________________________________________________/   SETUP     \
 //																										  |
@@ -144,6 +210,9 @@ function setup() {
 	// meshes ----------------------------------
 	idleWiremesh = new MeshFromDepth({
 		depthData: idleDepth.canvas,
+		calibration: calibration,
+		near: PARAM.depthNear,
+		far: PARAM.depthFar,
 		scene: sceneIdle,
 		vertexShader: '../share/shaders/glazewire-v.glsl',
 		fragmentShader: '../share/shaders/glazewire-f.glsl',
@@ -158,6 +227,9 @@ function setup() {
 
 	idlePointcloud = new MeshFromDepth({
 		depthData: idleDepth.canvas,
+		calibration: calibration,
+		near: PARAM.depthNear,
+		far: PARAM.depthFar,
 		scene: sceneIdle,
 		vertexShader: '../share/shaders/huepoints-v.glsl',
 		fragmentShader: '../share/shaders/huepoints-f.glsl',				
@@ -187,19 +259,33 @@ function setup() {
 	diffTex.minFilter = THREE.NearestFilter;
 	diffTex.needsUpdate = true;
 
-	// optical flow -----------------------------------
-	// flowField = new OpticalFlowField(640, 480, 10, false);
-	// flowTex = new THREE.Texture(flowField.canvas);
-	// flowTex.minFilter = THREE.NearestFilter;
-	// flowTex.needsUpdate = true;
+	// background subtraction inside the presence zone ( decides presence, see User.detect ), blobs && landmarks -------
+	// ( all worked out by DepthWorker along w/the gestures, these only hold the results )
+	background = new BackgroundModel({ calibration: calibration, tolerance: PARAM.foregroundTolerance });
+	tracker = new BlobTracker({ calibration: calibration }); // who's in the foreground, one blob per person ( or huddle )
+	landmarks = new LandmarkDetector({ calibration: calibration, near: PARAM.zone.near, far: PARAM.zone.far }); // the nearest visitor's head && hands
+
+	// optical flow ( also worked out by DepthWorker, this one only holds the result ) -----------------------------------
+	flowField = new OpticalFlowField();
+	flowTex = new THREE.DataTexture(flowField.field, flowField.columns, flowField.rows, THREE.RGBAFormat);
+	flowTex.minFilter = THREE.LinearFilter; // blended between cells, so points bend smoothly
+	flowTex.magFilter = THREE.LinearFilter;
+	flowTex.needsUpdate = true;
+
+	MotionGrid.init( PARAM.motionGrid[0], PARAM.motionGrid[1] ); // motion per grid cell, as a texture
 
 
 	// kinect data + meshes ---------------------------------
 	
 	depth = new DepthFromKinect();	
+	depth.raw = true; // the meshes read the raw depth, the canvas is only drawn for ZonePreview && Debug
+	video = new VideoFromKinect(); // registered rgb, only streamed while PARAM.colorLook is on
 
 	wiremesh = new MeshFromDepth({
-		depthData: depth.canvas,
+		depthData: depth,
+		calibration: calibration,
+		near: PARAM.depthNear,
+		far: PARAM.depthFar,
 		scene: scene,
 		vertexShader: '../share/shaders/glazewire-v.glsl',
 		fragmentShader: '../share/shaders/glazewire-f.glsl',
@@ -214,12 +300,19 @@ function setup() {
 			{ name: "param1", type:"f", value: 7.0 },
 			{ name: "param2", type:"f", value: 20.0 },
 			{ name: "param3", type:"f", value: 0.2 },
+			{ name: "flowTex", type: "t", value: flowTex },
+			{ name: "flowMotion", type: "v2", value: new THREE.Vector2() },
+			{ name: "flowAmount", type:"f", value: 60.0 },
 			// { name: "canvTex", type:"t", value: canvTex.getTexture() },
 		]
 	});
 
 	pointcloud = new MeshFromDepth({
-		depthData: depth.canvas,
+		depthData: depth,
+		calibration: calibration,
+		near: PARAM.depthNear,
+		far: PARAM.depthFar,
+		colorData: video.canvas,
 		scene: scene,
 		// fragmentShaderID: 'fs',
 		// vertexShaderID: 'vs',
@@ -236,25 +329,60 @@ function setup() {
 			{ name: "motionGate", type:"i", value: 0 },
 			{ name: "param1", type:"f", value: 7.0 },
 			{ name: "param2", type:"f", value: 20.0 },
+			{ name: "colorMix", type:"f", value: 0.0 },
 			{ name: "diffTex", type: "t", value: diffTex },
-			// { name: "flowTex", type: "t", value: flowTex }
+			{ name: "flowTex", type: "t", value: flowTex },
+			{ name: "flowMotion", type: "v2", value: new THREE.Vector2() },
+			{ name: "flowAmount", type:"f", value: 120.0 },
+			{ name: "motionGrid", type: "t", value: MotionGrid.texture },
+			{ name: "motionGridAmount", type:"f", value: 1.0 },
 			{ name: "webglTex", type:"t", value: webglTex.getTexture() },
 		]
 	});
 
-	
-	socket.on('kinect-depth', function(data) {
+
+	// hole filling, smoothing && temporal filtering, the presence zone, canvas encoding, frame differencing, optical flow,
+	// background subtraction, blobs, landmarks && gestures all happen in a worker ( see depth-worker.js ), frames come back
+	// ready to upload
+	DepthWorker.init();
+
+	source = createDepthSource();
+	source.onFrame(function(frame, done) {
 		
-		var d = new Uint8ClampedArray(data);
-		depth.updateCanvasData(d);
-		frameDiff.addFrame(depth.imageData.data);
-		//flowField.addFrame(depth.imageData.data)
-
-		if( User.present ){			
-			wiremesh.update();
-			pointcloud.update();			
-		}
+		DepthWorker.process(frame, function(frame, diff, motion){
+			depth.updateFrame(frame);
+			background.setFrame(DepthWorker.mask, DepthWorker.background);
+			tracker.setBlobs(DepthWorker.blobs);
+			landmarks.setLandmarks(DepthWorker.landmarks);
+			DepthWorker.gestures.forEach(function( name ){ Gesture.trigger( name ); }); // mapped to actions by PARAM.gestures
+			if( frame.truth ) Debug.truth = frame.truth; // synthetic scenes know whether someone's really there
+			frameDiff.setFrame(diff, motion, DepthWorker.regionMotion, DepthWorker.confidence, DepthWorker.noise);
+			MotionGrid.update(frameDiff.regionMotion);
+			flowField.setField(DepthWorker.flow, DepthWorker.flowMotion);
+			flowTex.needsUpdate = true;
+
+			if( User.present ){			
+				wiremesh.update();
+				pointcloud.update();			
+			}
+
+			done(); // ready for the next frame, see share/DepthSource.js
+		});
+	});
+	source.start();
+
+	// the daemon only sends video to subscribers ( && only when started with --video )
+	socket.on('connect', function(){
+		socket.emit('kinect-video', { value: PARAM.colorLook });
+	});
+	if( socket.connected ) socket.emit('kinect-video', { value: PARAM.colorLook });
+
+	socket.on('kinect-video', function(data, ack) {
 
+		video.readFrame(data);
+		if( User.present ) pointcloud.updateColor();
+
+		if( typeof ack === "function" ) ack();
 	});
 
 
@@ -322,7 +450,7 @@ function draw() {
 	if( !(mongoose.connection.readyState) ) console.log('no db connected!');
 	
 
-	User.detect( frameDiff.motion );
+	User.detect( background.occupancy );
 
 	if( !User.present ){ // --------------- --------------- ---- draw IDLE mode ---------------
 		
@@ -400,47 +528,26 @@ function draw() {
 			if( !PARAM.autoDetectOverride ) KeyFrame.initDoc();
 		});
 
-		// Latency.reconnect( User );
-
 		// save to db timer ---------------------------------------
 		if( typeof KeyFrame.sessionId === "string" ){
+			KeyFrame.people = Math.max( KeyFrame.people, tracker.count );
 			KeyFrame.updateTimer( 'progressBar', PARAM.keyFrameInterval );
-			if( KeyFrame.loops % PARAM.keyFrameInterval === 0 ){ 
-				KeyFrame.thumbCount++;
-				KeyFrame.flashOpacity = 0.5;
-					
-				if (KeyFrame.thumbCount <= PARAM.keyFrameLimit || PARAM.keyFrameLimit === 0) {
-					console.log('KEYFRAME SAVED');
-					KeyFrame.saveKeyFrame(
-						new Buffer( depth.data ).toString('base64'),
-						frameDiff.canvas.toDataURL(),
-						Motion.gate
-					);	
-					
-					KeyFrame.saveThumbnail();
-				} else {
-					console.log('KEYFRAME NOT SAVED, COUNT IS ' + KeyFrame.thumbCount);
-				}
-
-				if (KeyFrame.thumbCount == 2 && PARAM.print) {
-					CardPrinter.print(KeyFrame.sessionId);
-				}
-
-				KeyFrame.flash();
-			}	
+			if( KeyFrame.loops % PARAM.keyFrameInterval === 0 || KeyFrame.forced ) KeyFrame.capture();
 		}
 
 		
 
 		// update uniforms ----------------------------------------
 		if(typeof wiremesh !== "undefined" &&  wiremesh.loaded){
-			Motion.update( time, frameDiff.motion ); // update motion gate
+			Motion.update( time, Motion.gateValue() ); // update motion gate
 			// canvTex.refresh();				// update canvas texture 
 			webglTex.update( time/1000 );		// update webgl texture canvas
 
 			wiremesh.mesh.material.uniforms.time.value = time;			
 			wiremesh.mesh.material.uniforms.motion.value = frameDiff.motion;
 			wiremesh.mesh.material.uniforms.motionGate.value = Motion.gate;		
+			wiremesh.setLandmarks( landmarks );
+			wiremesh.mesh.material.uniforms.flowMotion.value.set( flowField.u / flowField.maxSpeed, -flowField.v / flowField.maxSpeed );
 			if( Motion.gate == 2 ) wiremesh.mesh.material.wireframe = false;
 			else wiremesh.mesh.material.wireframe = true;
 			
@@ -451,6 +558,9 @@ function draw() {
 			pointcloud.mesh.material.uniforms.motionFade.value = Motion.fade;
 			pointcloud.mesh.material.uniforms.motionGate.value = Motion.gate;		
 			pointcloud.mesh.material.uniforms.smoothMotion.value = Motion.smooth;		
+			pointcloud.mesh.material.uniforms.colorMix.value = ( PARAM.colorLook ) ? 1.0 : 0.0;
+			pointcloud.setLandmarks( landmarks );
+			pointcloud.mesh.material.uniforms.flowMotion.value.set( flowField.u / flowField.maxSpeed, -flowField.v / flowField.maxSpeed );
 		}
 		diffTex.needsUpdate = true;
 
@@ -475,39 +585,6 @@ function draw() {
 // ---------------------------------------------------------------------------------------------------------------
 
 
-// ------------ 
-// ---------------------- ------ -- reKinect
-// ------------ ----
-// ---- ( disconnect/reconnect to daemon on new sessions to get around latency bug )
-
-
-var Latency = {
-	wait: false,
-	reconnect: function( usr ){
-		if( !this.wait && ( typeof usr =="undefined"||(usr.present && usr.presentFor < 1) ) ){
-
-			var self = this;
-			this.wait = true;
-			
-			socket.disconnect();
-			console.log("Latency: disconnected from kinect-server")
-
-			setTimeout(function(){
-				if( socket.connected ){ self.reconnect(); }
-				else {
-					socket.connect();
-					console.log("Latency: reconnected to kinect-server")
-					setTimeout(function(){
-						self.wait = false
-					},1500);
-				}
-			},250);
-		}
-	}
-}
-
-
-
 // ------------ 
 // ---------------------- ------ -- MOTION
 // ------------ ----
@@ -573,11 +650,67 @@ var Motion = {
 		var sum = this.smoothBuff.reduce(function(a, b) { return a + b; });
 		var avg = sum / this.smoothBuff.length;
 		return avg;
+	},
+	// the whole frame's motion, or only PARAM.motionGateRegion's when it names a region ( see DepthWorker.regions )
+	gateValue: function(){
+		var region = PARAM.motionGateRegion;
+		if( region && frameDiff.regionMotion.hasOwnProperty( region ) ) return frameDiff.regionMotion[ region ];
+		else return frameDiff.motion;
 	}
 }
 
 
 
+// ------------ 
+// ---------------------- ------ -- MotionGrid Object
+// ------------ ----
+// ---- ( PARAM.motionGrid's cells as a texel each, red is how much moved there, for the pointcloud's ripples )
+
+var MotionGrid = {
+	columns: 0,
+	rows: 0,
+	full: 0.05,		// region motion that counts as all of a cell moving
+	data: null,
+	texture: null,
+	init: function( columns, rows ){
+		this.texture = new THREE.DataTexture( new Uint8Array( 4 ), 1, 1, THREE.RGBAFormat );
+		this.texture.minFilter = THREE.LinearFilter;
+		this.texture.magFilter = THREE.LinearFilter;
+		this.resize( columns, rows );
+	},
+	resize: function( columns, rows ){
+		if( columns === this.columns && rows === this.rows ) return;
+		this.columns = columns;
+		this.rows = rows;
+		this.data = new Uint8Array( columns * rows * 4 );
+		this.texture.image = { data: this.data, width: columns, height: rows };
+		this.texture.needsUpdate = true;
+	},
+	update: function( regionMotion ){
+		for (var r = 0; r < this.rows; r++) {
+			for (var c = 0; c < this.columns; c++) {
+				var m = regionMotion[ "c" + c + "r" + r ] || 0;
+				var i = ( r * this.columns + c ) * 4;
+				this.data[i] = Math.min( 1, m / this.full ) * 255;
+				this.data[i + 3] = 255;
+			}
+		}
+		this.texture.needsUpdate = true;
+	},
+	busiest: function(){
+		var regionMotion = frameDiff.regionMotion, name = "-", most = 0;
+		for (var key in regionMotion) {
+			if( regionMotion[key] > most ){
+				most = regionMotion[key];
+				name = key + " ( " + most.toFixed(4) + " )";
+			}
+		}
+		return name;
+	}
+};
+
+
+
 // ------------ 
 // ---------------------- ------ -- MONGOOSE
 // ------------ ----
@@ -623,7 +756,7 @@ function sessionReset( wait ){
 // ------------ 
 // ---------------------- ------ -- User Object
 // ------------ ----
-// ---- ( checks to see if user is present )
+// ---- ( checks to see if user is present, from how much of the frame is in front of the learned background )
 
 
 var User = {
@@ -640,20 +773,14 @@ var User = {
 			0,0,0,0,0,0,0,0,0,0,
 			0,0,0,0,0,0,0,0,0,0
 	],
-	lastFrame: null,
-	detect: function( motion ){
-		var self = this;
+	detect: function( occupancy ){
 		this.delta++;
 		if( this.delta >= this.record.length ) this.delta = 0;
 
-		var places = 1000000;
-		var mAvg = Math.floor(motion*places)/places;
-		var lfAvg = Math.floor(this.lastFrame*places)/places;
-		
-		if( mAvg == lfAvg ) this.record[this.delta] = 0;
-		else this.record[this.delta] = 1;		
-		
-		this.lastFrame = motion;
+		// share of the frame that's foreground ( see share/BackgroundModel.js ), so someone
+		// standing perfectly still still counts && a few people passing in the distance don't
+		if( occupancy > PARAM.foregroundThresh ) this.record[this.delta] = 1;
+		else this.record[this.delta] = 0;
 
 		if( this.checkRec() ){
 			this.present = true;
@@ -693,11 +820,14 @@ var KeyFrame = {
 	loops: -1,
 	sessionId: null,
 	thumbCount: 0,
+	people: 0,	// most blobs seen at once this session ( see share/BlobTracker.js ), one person or a group
+	forced: false,	// capture on the next frame instead of waiting for the timer
 	flashOpacity: 0,
 	flashElement: document.getElementById('flash'),
 	initDoc: function(){
 		if( this.sessionId === null ){
 			this.thumbCount = 0;
+			this.people = 0;
 			if( PARAM.saveData ){
 				var self = this;
 				var session = new seshModel();				
@@ -722,15 +852,63 @@ var KeyFrame = {
 			}		
 		}
 	},
-	saveKeyFrame: function( dataString, diffDataURL, motionValue ){	
+	capture: function(){
+		this.forced = false;
+		this.thumbCount++;
+		this.flashOpacity = 0.5;
+			
+		if (this.thumbCount <= PARAM.keyFrameLimit || PARAM.keyFrameLimit === 0) {
+			console.log('KEYFRAME SAVED');
+			this.saveKeyFrame(
+				new Buffer( depth.data ).toString('base64'),
+				frameDiff.canvas.toDataURL(),
+				Motion.gate,
+				tracker.count
+			);	
+			
+			this.saveThumbnail();
+		} else {
+			console.log('KEYFRAME NOT SAVED, COUNT IS ' + this.thumbCount);
+		}
+
+		if (this.thumbCount == 2 && PARAM.print) {
+			CardPrinter.print(this.sessionId);
+		}
+
+		this.flash();
+	},
+	// throws the current session away: its doc, its thumbnails && the session itself, the visitor has to
+	// leave ( or ask for a new one ) before another one starts
+	discard: function(){
+		if( typeof this.sessionId !== "string" ) return;
+
+		var id = this.sessionId, thumbs = this.thumbCount;
+		if( PARAM.saveData && id!=="temp"){
+			seshModel.remove({ id: id }, function(err){
+				if(err) console.log(err);
+				else console.log( "discarded " + id );
+			});
+			for (var i = 1; i <= thumbs; i++) {
+				fs.unlink("../data/thumbnails/"+id+"_"+i+".png", function(err){});
+			}
+		}
+
+		this.sessionId = null;
+		this.forced = false;
+		this.loops = -1;
+		document.getElementById("progressBar1").style.width = "0px";
+		document.getElementById("progressBar2").style.width = "0px";
+	},
+	saveKeyFrame: function( dataString, diffDataURL, motionValue, people ){	
 		var kfObj = {
 			depthData: 		dataString,
 			diffDataURL: 	diffDataURL,//frameDiff.canvas.toDataURL(),
-			motionValue: 	motionValue//frameDiff.motion
+			motionValue: 	motionValue,//frameDiff.motion
+			people: 		people
 		}
 		var self = this;
 		var query = { id: self.sessionId };
-		var update = { $push: { keyFrames: kfObj } };
+		var update = { $push: { keyFrames: kfObj }, $set: { people: self.people } };
 		var options = {upsert:true};
 
 		if( PARAM.saveData && this.sessionId!=="temp"){
@@ -778,6 +956,195 @@ var KeyFrame = {
 
 
 
+// ------------ 
+// ---------------------- ------ -- KinectLed Object
+// ------------ ----
+// ---- ( blinks the kinect's LED while a session is being recorded )
+
+var KinectLed = {
+	recording: null,
+	update: function(){
+		var recording = KeyFrame.sessionId !== null;
+		if( recording === this.recording ) return;
+		this.recording = recording;
+		socket.emit('led', { state: ( recording ) ? 'blink green' : 'green' });
+	}
+};
+
+
+
+
+// ------------ 
+// ---------------------- ------ -- Gesture Object
+// ------------ ----
+// ---- ( runs the action PARAM.gestures maps each gesture to, see share/GestureRecognizer.js )
+
+var Gesture = {
+	last: null,	// { name, action, time } for the debug view
+	trigger: function( name ){
+		var action = ( PARAM.gestures ) ? PARAM.gestures[ name ] : "none";
+		if( !action || action == "none" ) return;
+
+		this.last = { name: name, action: action, time: Date.now() };
+		console.log( 'gesture: ' + name + ' -> ' + action );
+
+		if( action == "start" && KeyFrame.sessionId === null ){
+			KeyFrame.initDoc();
+			User.readied = true; // so it closes like any other session once the visitor leaves
+		}
+		else if( action == "keyframe" && typeof KeyFrame.sessionId === "string" ) KeyFrame.forced = true;
+		else if( action == "discard" ) KeyFrame.discard();
+	}
+};
+
+setInterval(function(){ KinectLed.update(); }, 250);
+socket.on('connect', function(){ KinectLed.recording = null; }); // daemon may have restarted, resend
+
+
+
+// ------------ 
+// ---------------------- ------ -- DepthWorker Object
+// ------------ ----
+// ---- ( runs depth-worker.js && swaps buffers w/it, so the render thread never loops over a frame's pixels )
+
+var DepthWorker = {
+	worker: null,
+	active: null,	// presence zone of the last frame, 1 for every pixel inside it ( see share/PresenceZone.js )
+	flow: null,		// the last frame's OpticalFlowField.field
+	flowMotion: [ 0, 0 ], // && its u, v
+	regionMotion: {}, // motion per region, see regions()
+	confidence: null, // DepthDifference.confidence of the last frame whose mask changed, null otherwise
+	noise: 0,		// && DepthDifference.noise
+	mask: null,		// BackgroundModel.mask of the last frame
+	background: null, // && its stats()
+	blobs: [],		// BlobTracker.blobs of the last frame
+	landmarks: null, // { head, torso, leftHand, rightHand } of the last frame ( see share/LandmarkDetector.js )
+	gestures: [],	// names of the gestures that fired on the last frame ( see share/GestureRecognizer.js )
+	pending: null,	// { frame, callback } while the worker's busy, one frame at a time
+	spare: [],		// buffers the render thread is done with, sent back for the worker to reuse
+	init: function(){
+		var self = this;
+		this.worker = new Worker('depth-worker.js');
+		this.worker.onmessage = function(e){ self.receive( e.data ); };
+		this.worker.onerror = function(e){ console.log('depth-worker: ' + e.message); };
+		this.worker.postMessage({
+			type: "init", width: 640, height: 480,
+			calibration: calibration.params(), zone: PARAM.zone, depthFilter: PARAM.depthFilter, regions: this.regions( PARAM ),
+			foregroundTolerance: PARAM.foregroundTolerance
+		});
+	},
+	// where FrameDifference measures motion on top of the whole frame: the PARAM.motionGrid cells plus PARAM.motionRegions
+	regions: function( set ){
+		return DepthDifference.grid( set.motionGrid[0], set.motionGrid[1] ).concat( set.motionRegions || [] );
+	},
+	calibration: function( calibration ){
+		if( this.worker !== null ) this.worker.postMessage({ type: "calibration", params: calibration.params() });
+	},
+	settings: function( set ){
+		if( this.worker !== null ) this.worker.postMessage({
+			type: "settings", zone: set.zone, depthFilter: set.depthFilter, regions: this.regions( set ),
+			foregroundTolerance: set.foregroundTolerance
+		});
+	},
+	// relearns the empty scene, see BackgroundModel.reset()
+	resetBackground: function(){
+		if( this.worker !== null ) this.worker.postMessage({ type: "background" });
+	},
+	process: function( frame, callback ){
+		// frames can be views into something bigger ( a whole recording ), so the worker gets a copy it can own
+		var buffer = this.take( frame.depth.length );
+		new Uint8Array( buffer ).set( frame.depth );
+		this.pending = { frame: frame, callback: callback };
+		this.worker.postMessage({ type: "frame", seq: frame.seq, depth: buffer, spare: this.spare }, [ buffer ].concat( this.spare ));
+		this.spare = [];
+	},
+	receive: function( msg ){
+		if( msg.type != "frame" || this.pending === null ) return;
+		var pending = this.pending;
+		this.pending = null;
+
+		// the last frame's depth && zone are still being read until they're replaced
+		var lastDepth = depth.data, lastActive = this.active;
+
+		var frame = pending.frame;
+		frame.depth = new Uint8Array( msg.depth );
+		this.active = new Uint8Array( msg.active );
+		this.flow = msg.flow;
+		this.flowMotion = msg.flowMotion;
+		this.regionMotion = msg.regionMotion;
+		var diff = ( msg.diff !== null ) ? new Uint8ClampedArray( msg.diff ) : null;
+		this.confidence = ( msg.confidence !== null ) ? new Uint8Array( msg.confidence ) : null;
+		this.noise = msg.noise;
+		this.mask = new Uint8Array( msg.mask );
+		this.background = msg.background;
+		this.blobs = msg.blobs;
+		this.landmarks = msg.landmarks;
+		this.gestures = msg.gestures;
+
+		pending.callback( frame, diff, msg.motion );
+
+		// depth.data stays put when the frame was a duplicate ( see DepthFromKinect.updateFrame )
+		if( lastDepth !== null && lastDepth !== depth.data ) this.spare.push( lastDepth.buffer );
+		if( lastActive !== null ) this.spare.push( lastActive.buffer );
+		if( frame.depth !== depth.data ) this.spare.push( frame.depth.buffer );
+
+		// copied into BackgroundModel.mask, a canvas ( && FrameDifference.confidence ), free again
+		this.spare.push( msg.mask );
+		if( msg.diff !== null ) this.spare.push( msg.diff, msg.confidence );
+	},
+	take: function( bytes ){
+		for (var i = 0; i < this.spare.length; i++) {
+			if( this.spare[i].byteLength === bytes ) return this.spare.splice( i, 1 )[0];
+		}
+		return new ArrayBuffer( bytes );
+	}
+};
+
+
+
+// ------------ 
+// ---------------------- ------ -- ZonePreview Object
+// ------------ ----
+// ---- ( small live depth view for drawing the presence zone on the controls-client )
+
+var ZonePreview = {
+	width: 160,
+	height: 120,
+	canvas: null,
+	ctx: null,
+	update: function(){
+		if( io2.engine.clientsCount === 0 || DepthWorker.active === null ) return;
+		if( this.canvas === null ){
+			this.canvas = document.createElement('canvas');
+			this.canvas.width = this.width;
+			this.canvas.height = this.height;
+			this.ctx = this.canvas.getContext('2d');
+		}
+		depth.drawCanvas();
+		this.ctx.drawImage( depth.canvas, 0, 0, this.width, this.height );
+		// tint what's inside the zone right now, && brighter what's also foreground
+		var img = this.ctx.getImageData( 0, 0, this.width, this.height );
+		var step = depth.width / this.width;
+		for (var y = 0; y < this.height; y++) {
+			for (var x = 0; x < this.width; x++) {
+				var p = Math.floor( y * step ) * depth.width + Math.floor( x * step );
+				if( DepthWorker.active[p] === 0 ) continue;
+				var i = ( y * this.width + x ) * 4;
+				var mix = ( background.mask[p] === 1 ) ? 0.7 : 0.35;
+				img.data[i] += ( 217 - img.data[i] ) * mix;
+				img.data[i+1] += ( 138 - img.data[i+1] ) * mix;
+				img.data[i+2] += ( 206 - img.data[i+2] ) * mix;
+			}
+		}
+		this.ctx.putImageData( img, 0, 0 );
+		io2.emit('zone-preview', this.canvas.toDataURL('image/jpeg', 0.7) );
+	}
+};
+
+setInterval(function(){ ZonePreview.update(); }, 250);
+
+
+
 // ------------ 
 // ---------------------- ------ -- IdleMode Object
 // ------------ ----
@@ -959,6 +1326,7 @@ var CardPrinter = {
 
 var Debug = {
 	element: null,
+	truth: null,	// ground truth of the last synthetic frame ( see share/SyntheticDepth.js )
 	stats: null,
 	axes: null,
 	canvas: null,
@@ -1005,14 +1373,41 @@ var Debug = {
 		this.axes.material.opacity = 0.0;
 	},
 	update: function(){
+		if( this.canvas.style.display != 'none' ) depth.drawCanvas();
 		this.element.innerHTML = (PARAM.autoDetectOverride) ? "autoDetectOverride On" : "autoDetectOverride Off";
 		this.element.innerHTML += "<br><br>";
 		this.element.innerHTML += "motionGate: "+Motion.gate+"<br>";
 		this.element.innerHTML += "motion.fade: "+Motion.fade+"<br>";
+		this.element.innerHTML += "flow: "+flowField.u.toFixed(2)+", "+flowField.v.toFixed(2)+" px/frame<br>";
+		this.element.innerHTML += "motion noise: "+frameDiff.noise.toFixed(1)+"<br>";
+		this.element.innerHTML += "busiest region: "+MotionGrid.busiest()+( ( PARAM.motionGateRegion ) ? " | gate on: "+PARAM.motionGateRegion : "" )+"<br>";
 		this.element.innerHTML += "<br><br>";
-		this.element.innerHTML += "presence buff threshold: " + PARAM.presenceBufferThresh +"<br><br>";
+		this.element.innerHTML += "presence buff threshold: " + PARAM.presenceBufferThresh +"<br>";
+		this.element.innerHTML += "foreground: " + (background.occupancy*100).toFixed(1) + "% ( threshold " + (PARAM.foregroundThresh*100).toFixed(1) + "% )";
+		this.element.innerHTML += ( background.ready() ) ? "<br>" : " learning background...<br>";
+		if( background.nearest !== null ){
+			var box = background.bbox;
+			this.element.innerHTML += "nearest: " + background.nearest.toFixed(2) + "m";
+			this.element.innerHTML += " | bbox: " + box.x + "," + box.y + " " + box.width + "x" + box.height + "<br>";
+		}
+		this.element.innerHTML += "blobs: " + tracker.count;
+		for (var b = 0; b < tracker.blobs.length; b++) {
+			var blob = tracker.blobs[b];
+			this.element.innerHTML += " | #" + blob.id + " " + ( ( blob.distance !== null ) ? blob.distance.toFixed(2) + "m " : "" ) + blob.area + "px";
+		}
+		this.element.innerHTML += "<br>";
+		[ "head", "leftHand", "rightHand" ].forEach(function( name ){
+			var l = landmarks[ name ];
+			if( l === null ) return;
+			this.element.innerHTML += name + ": " + l.x.toFixed(2) + ", " + l.y.toFixed(2) + ", " + l.z.toFixed(2) + ( ( l.raised ) ? " raised" : "" ) + "<br>";
+		}, this);
+		this.element.innerHTML += "<br>";
 		this.element.innerHTML += (User.present) ? "PRESENT" : "ABSENT"
-		this.element.innerHTML += " -- sesh: "+KeyFrame.sessionId+"<br>";
+		this.element.innerHTML += " -- sesh: "+KeyFrame.sessionId+" ( people: "+KeyFrame.people+" )<br>";
+		if( Gesture.last !== null ){
+			this.element.innerHTML += "last gesture: " + Gesture.last.name + " -> " + Gesture.last.action;
+			this.element.innerHTML += " ( " + Math.floor( ( Date.now() - Gesture.last.time ) / 1000 ) + "s ago )<br>";
+		}
 		if( User.present ){
 			this.element.innerHTML += "wait-time: "+PARAM.presentWait+"<br>";
 			this.element.innerHTML += "presentFor: "+ Math.floor(User.presentFor)+"<br>";
@@ -1020,6 +1415,16 @@ var Debug = {
 			this.element.innerHTML += "wait-time: "+PARAM.absentWait+"<br>";
 			this.element.innerHTML += "absentFor: "+ Math.floor(User.absentFor)+"<br>";		
 		}		
+		this.element.innerHTML += "<br><br>";
+		this.element.innerHTML += "kinect latency: "+ Math.round(depth.stats.latency) +"ms<br>";
+		this.element.innerHTML += "drop rate: "+ (depth.stats.dropRate*100).toFixed(1) +"%";
+		this.element.innerHTML += " ( "+ depth.stats.dropped +" dropped )<br>";
+		this.element.innerHTML += "duplicates: "+ depth.stats.duplicates +"<br>";
+		if( this.truth !== null ){
+			this.element.innerHTML += "<br>synthetic truth: " + ( (this.truth.present) ? "PRESENT" : "ABSENT" );
+			this.element.innerHTML += " ( " + this.truth.count + " figures";
+			this.element.innerHTML += ( this.truth.present == User.present ) ? " )<br>" : ", detection disagrees )<br>";
+		}
 		// this.element.innerHTML += "motion: "+ depth.getDepthLvl();  +"<br>"
 	},
 	makeGui: function(){
@@ -1030,6 +1435,7 @@ var Debug = {
 			// this.gui.add( wiremesh.mesh.material, 'wireframeLinewidth', 0.0, 10.0).step(0.25);
 			this.gui.add( pointcloud.mesh.material.uniforms.param1, 'value', 0.1, 100.0 ).step(0.1).name('speed');
 			this.gui.add( pointcloud.mesh.material.uniforms.param2, 'value', 5.0, 50.0 ).step(0.1).name('amount');
+			this.gui.add( pointcloud.mesh.material.uniforms.flowAmount, 'value', 0.0, 500.0 ).step(1.0).name('flow bend');
 			// this.gui.domElement.style.display = "none";
 			document.querySelector('div.dg').style.zIndex = 9999999;	
 		} else {
@@ -1051,20 +1457,25 @@ var Debug = {
 // ---------------------------------------------------------------------------------------------------------------
 // ---------------------------------------------------------------------------------------------------------------
 
+// only the kinect source needs the kinect-daemon, the others connect ( or keep trying to ) once started in setup()
+function depthReady(){
+	return ( PARAM.depthSource || "kinect" ) != "kinect" || socket.connected;
+}
+
 function runApp(){
-	if( socket.connected && IdleMode.keyframes.length > 0  ){
-		console.log('connected to kinect-server');
+	if( depthReady() && IdleMode.keyframes.length > 0  ){
+		console.log('depth source: ' + ( PARAM.depthSource || "kinect" ));
 		
 		setup();			// set up scene && events
 		draw();				// start the draw loop
 	
-	} else if( socket.connected && IdleMode.keyframes.length <= 0){
+	} else if( depthReady() && IdleMode.keyframes.length <= 0){
 	
 		IdleMode.init();	// set up initial idle mode data 
 		console.log('...waiting on IdleMode data');
 		setTimeout( runApp, 500 );
 	
-	} else if( !socket.connected && IdleMode.keyframes.length > 0){
+	} else if( !depthReady() && IdleMode.keyframes.length > 0){
 
 		console.log('...waiting on kinect-daemon');
 		setTimeout( runApp, 500 );
@@ -0,0 +1,156 @@
+// filters, differences, follows the flow of && looks for visitors in every depth frame off the render thread, so app.js
+// only has to upload the results as textures ( the depth itself goes to the GPU as it is, see MeshFromDepth ) && act on a
+// few small values. only the canvas-free parts of ../share are loaded: DepthFilter, PresenceZone, DepthCodec, DepthDifference,
+// OpticalFlowField, BackgroundModel, BlobTracker, LandmarkDetector && GestureRecognizer. buffers are transferred both ways
+// && handed back to be reused, nothing's allocated per frame once it's warmed up
+//
+// messages in:
+//		{ type: "init", width, height, calibration, zone, depthFilter,	before any frame
+//		  regions, foregroundTolerance }
+//		{ type: "calibration", params }									see share/KinectCalibration.js
+//		{ type: "settings", zone, depthFilter, regions,					same as PARAM.zone, PARAM.depthFilter &&
+//		  foregroundTolerance }											PARAM.foregroundTolerance, regions for
+//																		DepthDifference.setRegions()
+//		{ type: "background" }											relearn the empty scene ( BackgroundModel.reset() )
+//		{ type: "frame", seq, depth, spare }								depth: ArrayBuffer of raw little-endian values,
+//																		spare: ArrayBuffers of past results to reuse
+// messages out:
+//		{ type: "frame", seq, depth, diff, motion, regionMotion,			depth: the filtered frame, diff: DepthDifference.draw()'s
+//		  confidence, noise, active, flow, flowMotion, mask,				pixels ( null when the mask didn't change ), regionMotion,
+//		  background, blobs, landmarks, gestures }						confidence ( a copy, null along w/diff ) && noise: the
+//																		DepthDifference's, active: zone mask,
+//																		flow: OpticalFlowField.field ( small enough to
+//																		copy ), flowMotion: [ u, v ], mask && background:
+//																		BackgroundModel.mask && stats(), blobs: BlobTracker.blobs,
+//																		landmarks: { head, torso, leftHand, rightHand },
+//																		gestures: names of those that fired this frame
+
+importScripts(
+	'../share/KinectCalibration.js',
+	'../share/DepthFilter.js',
+	'../share/PresenceZone.js',
+	'../share/DepthCodec.js',
+	'../share/DepthDifference.js',
+	'../share/OpticalFlowField.js',
+	'../share/BackgroundModel.js',
+	'../share/BlobTracker.js',
+	'../share/LandmarkDetector.js',
+	'../share/GestureRecognizer.js'
+);
+
+var calibration, filter, zone, difference, flow, background, tracker, landmarks, gestures;
+var width, height;
+var spare = [];
+
+// an ArrayBuffer of this size, reused when the render thread sent one back
+function take( bytes ){
+	for (var i = 0; i < spare.length; i++) {
+		if( spare[i].byteLength === bytes ) return spare.splice( i, 1 )[0];
+	}
+	return new ArrayBuffer( bytes );
+}
+
+// the visitor is whoever's nearest the installation, undefined when nobody's there
+function nearestBlob( blobs ){
+	var nearest;
+	blobs.forEach(function( blob ){
+		if( blob.distance !== null && ( !nearest || blob.distance < nearest.distance ) ) nearest = blob;
+	});
+	return nearest;
+}
+
+function frame( msg ){
+
+	var depth = new Uint8Array( msg.depth );
+	if( msg.spare ) spare = spare.concat( msg.spare );
+
+	// the filter writes to a buffer of its own, copy it back into the one we're sending
+	var filtered = filter.filter( depth );
+	if( filtered !== depth ) depth.set( filtered );
+
+	zone.update( depth );
+	flow.addFrame( depth, zone.active );
+
+	difference.addFrame( depth, zone.active );
+	var diff = null, confidence = null;
+	if( difference.changed ){
+		diff = new Uint8ClampedArray( take( width * height * 4 ) );
+		difference.draw( diff );
+		confidence = new Uint8Array( take( width * height ) );
+		confidence.set( difference.confidence );
+	}
+
+	var active = new Uint8Array( take( width * height ) );
+	active.set( zone.active );
+
+	background.addFrame( depth, zone.active );
+	tracker.update( background.mask, depth );
+	landmarks.update( background.mask, depth, nearestBlob( tracker.blobs ) );
+	var fired = gestures.update( landmarks, Date.now() );
+
+	var mask = new Uint8Array( take( width * height ) );
+	mask.set( background.mask );
+
+	var out = {
+		type: "frame",
+		seq: msg.seq,
+		depth: depth.buffer,
+		diff: ( diff !== null ) ? diff.buffer : null,
+		motion: difference.motion,
+		regionMotion: difference.regionMotion,
+		confidence: ( confidence !== null ) ? confidence.buffer : null,
+		noise: difference.noise,
+		active: active.buffer,
+		flow: flow.field,
+		flowMotion: [ flow.u, flow.v ],
+		mask: mask.buffer,
+		background: background.stats(),
+		blobs: tracker.blobs,
+		landmarks: { head: landmarks.head, torso: landmarks.torso, leftHand: landmarks.leftHand, rightHand: landmarks.rightHand },
+		gestures: fired
+	};
+	var transfer = [ depth.buffer, active.buffer, mask.buffer ];
+	if( diff !== null ) transfer.push( diff.buffer, confidence.buffer );
+
+	postMessage( out, transfer );
+}
+
+onmessage = function( e ){
+
+	var msg = e.data;
+
+	if( msg.type == "init" ){
+		width = msg.width;
+		height = msg.height;
+		calibration = new KinectCalibration( msg.calibration );
+		filter = new DepthFilter({ width: width, height: height, calibration: calibration });
+		filter.set( msg.depthFilter );
+		zone = new PresenceZone({ width: width, height: height, calibration: calibration });
+		zone.set( msg.zone );
+		difference = new DepthDifference({ width: width, height: height });
+		difference.setRegions( msg.regions );
+		flow = new OpticalFlowField({ width: width, height: height });
+		background = new BackgroundModel({ width: width, height: height, calibration: calibration, tolerance: msg.foregroundTolerance });
+		tracker = new BlobTracker({ width: width, height: height, calibration: calibration }); // one blob per person ( or huddle )
+		landmarks = new LandmarkDetector({ width: width, height: height, calibration: calibration, near: msg.zone.near, far: msg.zone.far });
+		gestures = new GestureRecognizer();
+	}
+	else if( msg.type == "calibration" ){
+		calibration.set( msg.params );
+		zone.set({ near: zone.near, far: zone.far, polygon: zone.polygon });
+	}
+	else if( msg.type == "settings" ){
+		filter.set( msg.depthFilter );
+		zone.set( msg.zone );
+		difference.setRegions( msg.regions );
+		background.tolerance = msg.foregroundTolerance;
+		landmarks.near = msg.zone.near;
+		landmarks.far = msg.zone.far;
+	}
+	else if( msg.type == "background" ){
+		background.reset();
+	}
+	else if( msg.type == "frame" ){
+		frame( msg );
+	}
+};
@@ -1,4 +1,4 @@
-var socket = io.connect('http://localhost:8008');
+var socket = io.connect('http://localhost:8008', { query: 'ack=1' });
 
 function setup() {
 
@@ -7,10 +7,10 @@ function setup() {
 	depth = new DepthFromKinect();
 	document.body.appendChild(frameDiff.canvas);
 
-	socket.on('kinect-depth', function(data) {
-		var d = new Uint8ClampedArray(data);
-		depth.updateCanvasData(d);
-		frameDiff.addFrame(depth.imageData.data);
+	socket.on('kinect-depth', function(data, ack) {
+		depth.readFrame(data);
+		frameDiff.addFrame(depth.data);
+		if( typeof ack === "function" ) ack();
 	});
 }
 
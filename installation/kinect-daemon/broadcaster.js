@@ -0,0 +1,241 @@
+var DepthFrame = require(__dirname + '/../../share/DepthFrame');
+var StreamParams = require(__dirname + '/stream-params');
+
+/**
+ * fans a single stream of frames out to any number of socket.io clients. each client gets
+ * a small bounded queue and at most one frame in flight, the next frame is only sent once the
+ * client acknowledges the last one. when a slow client's queue is full the oldest ( stalest )
+ * frame is dropped, so a client that can't keep up sees a lower frame rate instead of growing latency.
+ * clients say they acknowledge w/ack=1 in their handshake query, then call the callback passed as the
+ * last argument to their handler:
+ *
+ *		var socket = io.connect('http://localhost:8008', { query: 'ack=1' });
+ *		socket.on('kinect-depth', function(data, ack) {
+ *			// ...process frame...
+ *			if( typeof ack === "function" ) ack();
+ *		});
+ *
+ * clients that don't ( written before acks existed ) get frames w/o a callback, no faster than their fps
+ * ( or 'legacyFps' ) && w/a queue of one, so they drop stale frames too
+ *
+ * each client can also ask for a lower frame rate, a downsampled image or a crop ( see stream-params.js ),
+ * frames are shaped per client before being packed with a DepthFrame header
+ *
+ * @class DepthBroadcaster
+ * @constructor
+ * @param {Object} [config] optional 'event' name to emit ( default 'kinect-depth' ), 'queueSize'
+ * ( frames held per client, default 1 ), 'ackTimeout' ( ms to wait on a lost ack before sending again, default 1000 ),
+ * 'bytesPerPixel' ( default 2, 3 for rgb ), 'optIn' ( clients only get frames once they subscribe, see setEnabled ) and
+ * 'legacyFps' ( frame rate for clients that don't acknowledge and didn't ask for one, default 30 )
+ */
+function DepthBroadcaster( config ){
+
+	config = config || {};
+
+	this.event = ( typeof config.event === "string" ) ? config.event : 'kinect-depth';
+	this.queueSize = ( typeof config.queueSize === "number" ) ? Math.max( 1, config.queueSize ) : 1;
+	this.ackTimeout = ( typeof config.ackTimeout === "number" ) ? config.ackTimeout : 1000;
+	this.bytesPerPixel = ( typeof config.bytesPerPixel === "number" ) ? config.bytesPerPixel : 2;
+	this.optIn = ( config.optIn === true );
+	this.legacyFps = ( typeof config.legacyFps === "number" ) ? config.legacyFps : 30;
+	this.clients = {};
+}
+
+/**
+ * starts streaming to a socket, using any stream params in its handshake query. the client
+ * can renegotiate with a 'stream-params' message and is removed again when the socket disconnects
+ * @method add
+ * @param {Object} socket socket.io socket
+ */
+DepthBroadcaster.prototype.add = function( socket ) {
+
+	var self = this;
+
+	this.clients[ socket.id ] = {
+		socket: socket,
+		enabled: !this.optIn,
+		params: null,
+		queue: [],
+		inFlight: false,
+		timer: null,
+		acking: socket.handshake.query.ack === '1',	// otherwise frames are sent w/o waiting on acks
+		lastSent: 0,	// when the last frame went out ( for clients that don't ack )
+		nextDue: 0,		// capture time the next frame is due at ( for params.fps )
+		skipped: 0,		// frames left out on purpose since the last one sent ( for params.fps )
+		sent: 0,
+		dropped: 0
+	};
+
+	this.setParams( socket, socket.handshake.query );
+
+	socket.on('stream-params', function( params ){
+		self.setParams( socket, params );
+	});
+
+	socket.on('disconnect', function(){
+		self.remove( socket );
+	});
+};
+
+/**
+ * @method setParams
+ * @param {Object} socket socket.io socket
+ * @param {Object} params 'fps', 'downsample' and 'crop', see stream-params.js
+ */
+DepthBroadcaster.prototype.setParams = function( socket, params ) {
+
+	var client = this.clients[ socket.id ];
+	if( typeof client === "undefined" ) return;
+
+	client.params = StreamParams.parse( params );
+	client.queue = [];
+	client.nextDue = 0;
+
+	// with several broadcasters on one socket only the default ( non optIn ) one answers
+	if( this.optIn ) return;
+
+	socket.emit('stream-params', {
+		fps: client.params.fps,
+		downsample: client.params.downsample,
+		crop: client.params.crop
+	});
+};
+
+/**
+ * pauses or resumes a client without forgetting its stream params
+ * @method setEnabled
+ * @param {Object} socket socket.io socket
+ * @param {Boolean} enabled
+ */
+DepthBroadcaster.prototype.setEnabled = function( socket, enabled ) {
+
+	var client = this.clients[ socket.id ];
+	if( typeof client === "undefined" ) return;
+
+	client.enabled = !!enabled;
+	if( !client.enabled ) client.queue = [];
+};
+
+/**
+ * @method remove
+ * @param {Object} socket socket.io socket
+ */
+DepthBroadcaster.prototype.remove = function( socket ) {
+
+	var client = this.clients[ socket.id ];
+	if( typeof client === "undefined" ) return;
+
+	clearTimeout( client.timer );
+	delete this.clients[ socket.id ];
+};
+
+/**
+ * queues a frame for every client
+ * @method push
+ * @param {Object} meta 'seq', 'timestamp', 'device', 'width' and 'height' ( see DepthFrame )
+ * @param {Buffer} depth raw depth frame
+ */
+DepthBroadcaster.prototype.push = function( meta, depth ) {
+
+	var shaped = {}; // one crop/downsample per distinct params.key
+
+	for( var id in this.clients ){
+
+		var client = this.clients[ id ];
+		var params = client.params;
+
+		if( !client.enabled ) continue;
+
+		if( params.fps > 0 ){
+			var interval = 1000 / params.fps;
+			if( meta.timestamp < client.nextDue - 2 ){
+				client.skipped++;
+				continue;
+			}
+			client.nextDue = ( meta.timestamp - client.nextDue > interval ) ?
+				meta.timestamp + interval : client.nextDue + interval;
+		}
+
+		if( typeof shaped[ params.key ] === "undefined" ){
+			shaped[ params.key ] = StreamParams.apply( depth, meta.width, meta.height, params, this.bytesPerPixel );
+		}
+
+		client.queue.push({ meta: meta, frame: shaped[ params.key ] });
+
+		if( client.queue.length > ( ( client.acking ) ? this.queueSize : 1 ) ){
+			client.queue.shift();
+			client.dropped++;
+		}
+
+		this._pump( client );
+	}
+};
+
+/**
+ * @method clientCount
+ * @return {Number} number of connected clients ( only subscribed ones for an optIn broadcaster )
+ */
+DepthBroadcaster.prototype.clientCount = function() {
+	var count = 0;
+	for( var id in this.clients ) if( this.clients[ id ].enabled ) count++;
+	return count;
+};
+
+DepthBroadcaster.prototype._pump = function( client ) {
+
+	if( client.inFlight || client.queue.length === 0 ) return;
+
+	var self = this;
+
+	// w/o acks there's nothing to wait on but the clock, && no callback for socket.io to hold on to
+	if( !client.acking ){
+		var fps = ( client.params.fps > 0 ) ? client.params.fps : this.legacyFps;
+		var wait = client.lastSent + 1000 / fps - Date.now();
+		if( wait > 0 ){
+			if( client.timer === null ) client.timer = setTimeout(function(){
+				client.timer = null;
+				if( typeof self.clients[ client.socket.id ] !== "undefined" ) self._pump( client );
+			}, wait );
+			return;
+		}
+		client.lastSent = Date.now();
+		client.socket.emit( this.event, this._next( client ) );
+		return;
+	}
+
+	var acked = false;
+
+	function done(){
+		if( acked ) return;
+		acked = true;
+		clearTimeout( client.timer );
+		client.inFlight = false;
+		if( typeof self.clients[ client.socket.id ] !== "undefined" ) self._pump( client );
+	}
+
+	var data = this._next( client );
+	client.inFlight = true;
+	client.timer = setTimeout( done, this.ackTimeout );
+	client.socket.emit( this.event, data, done );
+};
+
+// takes the client's oldest queued frame && packs it
+DepthBroadcaster.prototype._next = function( client ) {
+
+	var item = client.queue.shift();
+	var data = DepthFrame.pack({
+		seq: item.meta.seq,
+		timestamp: item.meta.timestamp,
+		device: item.meta.device,
+		width: item.frame.width,
+		height: item.frame.height,
+		skipped: client.skipped
+	}, item.frame.depth );
+
+	client.skipped = 0;
+	client.sent++;
+	return data;
+};
+
+
+module.exports = DepthBroadcaster;
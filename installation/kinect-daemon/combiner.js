@@ -0,0 +1,156 @@
+var KinectCalibration = require(__dirname + '/../../share/KinectCalibration');
+
+/**
+ * merges the depth frames of several kinects into a single kinect-format depth frame, seen from
+ * a virtual 'view' camera. every device's pixels are turned into 3D points, moved into the shared
+ * space by that device's extrinsics, projected into the view && the nearest point per pixel wins.
+ * poses are { position: [x, y, z] in metres, rotation: [x, y, z] in degrees ( applied x, then y, then z ) },
+ * cameras look down +z with +y pointing down the image, see devices.json. each device's pixels are unprojected
+ * with its own calibration ( see share/KinectCalibration.js ), the view uses the default one
+ * @class DepthCombiner
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'view' pose ( default device 0's )
+ * and 'devices', an array of { id, position, rotation, calibration }
+ */
+function DepthCombiner( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+
+	this.calibration = new KinectCalibration({ width: this.width, height: this.height });
+
+	this._zbuffer = new Float32Array( this.width * this.height );
+	this.view = pose( config.view );
+	this.devices = {};
+	this.frames = {};
+
+	var devices = config.devices || [];
+	for (var i = 0; i < devices.length; i++) this.setPose( devices[i].id, devices[i] );
+}
+
+/**
+ * @method setPose
+ * @param {Number} id device id
+ * @param {Object} p { position, rotation } of the device in the shared space && its optional 'calibration' params
+ */
+DepthCombiner.prototype.setPose = function( id, p ) {
+
+	var device = pose( p );
+	var view = this.view;
+
+	// device -> view: Rv^T * ( Rd * p + td - tv )
+	var m = new Float32Array( 12 );
+	for (var r = 0; r < 3; r++) {
+		for (var c = 0; c < 3; c++) {
+			m[ r * 4 + c ] = view.r[r] * device.r[c] + view.r[3 + r] * device.r[3 + c] + view.r[6 + r] * device.r[6 + c];
+		}
+		m[ r * 4 + 3 ] = view.r[r] * ( device.t[0] - view.t[0] ) +
+						view.r[3 + r] * ( device.t[1] - view.t[1] ) +
+						view.r[6 + r] * ( device.t[2] - view.t[2] );
+	}
+
+	var params = p.calibration || {};
+	var cal = new KinectCalibration({ width: this.width, height: this.height, disparity: params.disparity, depth: params.depth });
+
+	// per column && per row ray directions, times the distance in metres gives the point
+	var col = new Float32Array( this.width );
+	for (var x = 0; x < this.width; x++) col[x] = ( x - cal.cx ) / cal.fx;
+
+	var row = new Float32Array( this.height );
+	for (var y = 0; y < this.height; y++) row[y] = ( y - cal.cy ) / cal.fy;
+
+	var z = new Float32Array( 2048 );
+	for (var raw = 0; raw < 2048; raw++) z[ raw ] = cal.mm[ raw ] / 1000;
+
+	this.devices[ id ] = { m: m, col: col, row: row, z: z };
+};
+
+/**
+ * keeps a device's latest frame for the next combine()
+ * @method setFrame
+ * @param {Number} id device id
+ * @param {Buffer} depth raw depth frame
+ */
+DepthCombiner.prototype.setFrame = function( id, depth ) {
+	this.frames[ id ] = depth;
+};
+
+/**
+ * @method combine
+ * @return {Buffer} raw depth frame ( little-endian uint16, 2047 where nothing was seen )
+ */
+DepthCombiner.prototype.combine = function() {
+
+	var w = this.width, h = this.height;
+	var zbuffer = this._zbuffer;
+	var view = this.calibration;
+	var i, x, y;
+
+	for (i = 0; i < zbuffer.length; i++) zbuffer[i] = Infinity;
+
+	for( var id in this.frames ){
+
+		var device = this.devices[ id ];
+		var depth = this.frames[ id ];
+		if( typeof device === "undefined" ) continue; // no extrinsics, can't place it
+
+		var m = device.m;
+		i = 0;
+		for (y = 0; y < h; y++) {
+			var ry = device.row[y];
+			for (x = 0; x < w; x++, i += 2) {
+
+				var z = device.z[ ( depth[i + 1] << 8 | depth[i] ) & 2047 ];
+				if( z === 0 ) continue;
+
+				var px = device.col[x] * z, py = ry * z;
+				var vz = m[8] * px + m[9] * py + m[10] * z + m[11];
+				if( vz <= 0 ) continue; // behind the view
+
+				var u = Math.round( view.fx * ( m[0] * px + m[1] * py + m[2] * z + m[3] ) / vz + view.cx );
+				var v = Math.round( view.fy * ( m[4] * px + m[5] * py + m[6] * z + m[7] ) / vz + view.cy );
+				if( u < 0 || u >= w || v < 0 || v >= h ) continue;
+
+				var o = v * w + u;
+				if( vz < zbuffer[o] ) zbuffer[o] = vz;
+			}
+		}
+	}
+
+	var out = new Buffer( w * h * 2 );
+	for (i = 0; i < zbuffer.length; i++) {
+		var raw = ( zbuffer[i] === Infinity ) ? 2047 : view.mmToRaw( zbuffer[i] * 1000 );
+		out.writeUInt16LE( raw, i * 2 );
+	}
+
+	return out;
+};
+
+
+// 3x3 rotation ( row major, Rz * Ry * Rx ) && translation from a { position, rotation } pose
+function pose( p ){
+
+	p = p || {};
+
+	var t = p.position || [0, 0, 0];
+	var a = p.rotation || [0, 0, 0];
+	var d = Math.PI / 180;
+
+	var sx = Math.sin( a[0] * d ), cx = Math.cos( a[0] * d );
+	var sy = Math.sin( a[1] * d ), cy = Math.cos( a[1] * d );
+	var sz = Math.sin( a[2] * d ), cz = Math.cos( a[2] * d );
+
+	return {
+		t: [ t[0], t[1], t[2] ],
+		r: [
+			cz * cy,	cz * sy * sx - sz * cx,		cz * sy * cx + sz * sx,
+			sz * cy,	sz * sy * sx + cz * cx,		sz * sy * cx - cz * sx,
+			-sy,		cy * sx,					cy * cx
+		]
+	};
+}
+
+
+module.exports = DepthCombiner;
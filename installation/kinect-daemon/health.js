@@ -0,0 +1,97 @@
+/**
+ * keeps track of how the depth stream is doing, served as json on GET /status and
+ * broadcast as a 'status' socket event by the daemons, so supervisors and the control panel
+ * don't have to scrape logs to tell whether the kinect is alive
+ * @class DaemonHealth
+ * @constructor
+ * @param {Object} [config] optional 'source' ( 'kinect', 'replay', ... default 'kinect' ), 'device' id ( default 0 ),
+ * 'stallAfter' ( ms without a frame before the device counts as stalled, default 1000 ) and 'video' ( whether
+ * registered rgb is available on 'kinect-video', default false )
+ */
+function DaemonHealth( config ){
+
+	config = config || {};
+
+	this.source = ( typeof config.source === "string" ) ? config.source : 'kinect';
+	this.device = ( typeof config.device === "number" ) ? config.device : 0;
+	this.stallAfter = ( typeof config.stallAfter === "number" ) ? config.stallAfter : 1000;
+	this.video = ( config.video === true );
+
+	this.frames = 0;
+	this.fps = 0;
+	this.lastFrameAt = null;
+	this.paused = false;
+	this.error = null;
+
+	this._windowStart = Date.now();
+	this._windowFrames = 0;
+}
+
+/**
+ * call once per captured frame
+ * @method frame
+ */
+DaemonHealth.prototype.frame = function() {
+
+	var now = Date.now();
+
+	this.frames++;
+	this.lastFrameAt = now;
+	this._windowFrames++;
+
+	if( now - this._windowStart >= 1000 ){
+		this.fps = this._windowFrames * 1000 / ( now - this._windowStart );
+		this._windowStart = now;
+		this._windowFrames = 0;
+	}
+};
+
+/**
+ * @method setError
+ * @param {Error|String} err device error, or null once it's resolved
+ */
+DaemonHealth.prototype.setError = function( err ) {
+	this.error = ( err ) ? String( err ) : null;
+};
+
+/**
+ * @method state
+ * @return {String} 'error', 'paused', 'starting' ( no frames yet ), 'stalled' or 'streaming'
+ */
+DaemonHealth.prototype.state = function() {
+
+	if( this.error !== null ) return 'error';
+	if( this.paused ) return 'paused';
+	if( this.lastFrameAt === null ) return 'starting';
+	if( Date.now() - this.lastFrameAt > this.stallAfter ) return 'stalled';
+	return 'streaming';
+};
+
+/**
+ * @method status
+ * @param {Number} clients number of connected clients
+ * @return {Object}
+ */
+DaemonHealth.prototype.status = function( clients ) {
+
+	var since = ( this.lastFrameAt === null ) ? null : Date.now() - this.lastFrameAt;
+
+	return {
+		source: this.source,
+		device: {
+			id: this.device,
+			state: this.state(),
+			error: this.error
+		},
+		// the fps window only closes when a frame arrives, don't report a stale rate while stalled
+		fps: ( since !== null && since <= this.stallAfter ) ? Math.round( this.fps * 10 ) / 10 : 0,
+		msSinceLastFrame: since,
+		video: this.video,
+		frames: this.frames,
+		clients: clients,
+		uptime: Math.round( process.uptime() )
+	};
+};
+
+
+module.exports = DaemonHealth;
@@ -0,0 +1,232 @@
+var fs = require('fs');
+
+/*
+
+	//-----------------------
+	// depth recording file layout ( .kdr, all values little-endian )
+	//-----------------------
+
+	file header ( 16 bytes )
+		0	4	magic "KDRC"
+		4	2	uint16 format version
+		6	2	uint16 frame width
+		8	2	uint16 frame height
+		10	2	uint16 device id
+		12	4	reserved
+
+	frame record ( 16 byte header + payload ), repeated until EOF
+		0	4	uint32 sequence number
+		4	8	float64 capture timestamp ( ms since epoch )
+		12	4	uint32 payload length in bytes
+		16	-	payload: raw kinect depth, one uint16 ( 11-bit value ) per pixel
+
+ */
+
+var MAGIC = 'KDRC';
+var VERSION = 1;
+var FILE_HEADER_SIZE = 16;
+var FRAME_HEADER_SIZE = 16;
+
+
+/**
+ * reads a depth recording from disk, frames are indexed up front and read lazily so long
+ * recordings never have to fit in memory
+ * @class DepthRecordingReader
+ * @constructor
+ * @param {String} path path to a .kdr file
+ */
+function DepthRecordingReader( path ){
+
+	this.path = path;
+	this.fd = fs.openSync( path, 'r' );
+
+	var header = new Buffer( FILE_HEADER_SIZE );
+	if( fs.readSync( this.fd, header, 0, FILE_HEADER_SIZE, 0 ) < FILE_HEADER_SIZE ||
+		header.toString( 'ascii', 0, 4 ) !== MAGIC ){
+		fs.closeSync( this.fd );
+		throw new Error('DepthRecordingReader: ' + path + ' is not a depth recording');
+	}
+
+	this.version = header.readUInt16LE( 4 );
+	if( this.version > VERSION ){
+		fs.closeSync( this.fd );
+		throw new Error('DepthRecordingReader: unsupported recording version ' + this.version);
+	}
+
+	this.width = header.readUInt16LE( 6 );
+	this.height = header.readUInt16LE( 8 );
+	this.device = header.readUInt16LE( 10 );
+
+	this.frames = this._index();
+	this.duration = ( this.frames.length > 1 ) ?
+		this.frames[ this.frames.length - 1 ].timestamp - this.frames[0].timestamp : 0;
+}
+
+// walk the frame headers and remember where each payload lives, a recording that was
+// cut off mid-frame ( daemon killed while writing ) just loses its last partial frame
+DepthRecordingReader.prototype._index = function() {
+
+	var frames = [];
+	var size = fs.fstatSync( this.fd ).size;
+	var header = new Buffer( FRAME_HEADER_SIZE );
+	var position = FILE_HEADER_SIZE;
+
+	while( position + FRAME_HEADER_SIZE <= size ){
+
+		fs.readSync( this.fd, header, 0, FRAME_HEADER_SIZE, position );
+		var length = header.readUInt32LE( 12 );
+		if( position + FRAME_HEADER_SIZE + length > size ) break;
+
+		frames.push({
+			seq: header.readUInt32LE( 0 ),
+			timestamp: header.readDoubleLE( 4 ),
+			offset: position + FRAME_HEADER_SIZE,
+			length: length
+		});
+
+		position += FRAME_HEADER_SIZE + length;
+	}
+
+	return frames;
+};
+
+/**
+ * reads a single frame
+ * @method read
+ * @param {Number} index frame index ( 0 - frames.length-1 )
+ * @return {Object} { seq, timestamp, depth } where depth is a Buffer of raw depth values
+ */
+DepthRecordingReader.prototype.read = function( index ) {
+
+	var frame = this.frames[ index ];
+	if( typeof frame === "undefined" ) throw new Error('DepthRecordingReader: no frame at index ' + index);
+
+	var depth = new Buffer( frame.length );
+	fs.readSync( this.fd, depth, 0, frame.length, frame.offset );
+
+	return { seq: frame.seq, timestamp: frame.timestamp, depth: depth };
+};
+
+/**
+ * finds the frame playing at a given time
+ * @method indexAt
+ * @param {Number} time milliseconds from the start of the recording
+ * @return {Number} frame index
+ */
+DepthRecordingReader.prototype.indexAt = function( time ) {
+
+	if( this.frames.length === 0 ) return 0;
+
+	var target = this.frames[0].timestamp + time;
+	var lo = 0, hi = this.frames.length - 1;
+
+	while( lo < hi ){
+		var mid = Math.ceil( (lo + hi) / 2 );
+		if( this.frames[ mid ].timestamp <= target ) lo = mid;
+		else hi = mid - 1;
+	}
+
+	return lo;
+};
+
+/**
+ * @method close
+ */
+DepthRecordingReader.prototype.close = function() {
+	fs.closeSync( this.fd );
+};
+
+
+
+/**
+ * appends depth frames to a new recording file. frames are skipped ( and counted in
+ * this.dropped ) while the disk is still catching up, so the daemon never buffers
+ * an unbounded amount of depth data in memory. skipped frames show up as gaps in the
+ * recorded sequence numbers
+ * @class DepthRecordingWriter
+ * @constructor
+ * @param {String} path where to create the .kdr file
+ * @param {Object} [config] optional 'width', 'height' ( default 640x480 ), 'device' ( default 0 ) and 'onError'
+ * ( called with the error if writing to disk fails, the writer is closed by then )
+ */
+function DepthRecordingWriter( path, config ){
+
+	config = config || {};
+
+	this.path = path;
+	this.width = ( typeof config.width === "number" ) ? config.width : 640;
+	this.height = ( typeof config.height === "number" ) ? config.height : 480;
+	this.device = ( typeof config.device === "number" ) ? config.device : 0;
+	this.frames = 0;
+	this.dropped = 0;
+	this.closed = false;
+	this.error = null; // message of the error that closed the writer
+	this._waiting = false; // true while the stream is over its high water mark
+
+	var self = this;
+	this.stream = fs.createWriteStream( path );
+	this.stream.on('drain', function(){ self._waiting = false; });
+	this.stream.on('error', function(err){
+		console.log('DepthRecordingWriter: ' + err);
+		self.closed = true;
+		self.error = err.message;
+		if( typeof config.onError === "function" ) config.onError( err );
+	});
+
+	var header = new Buffer( FILE_HEADER_SIZE );
+	header.fill(0);
+	header.write( MAGIC, 0, 4, 'ascii' );
+	header.writeUInt16LE( VERSION, 4 );
+	header.writeUInt16LE( this.width, 6 );
+	header.writeUInt16LE( this.height, 8 );
+	header.writeUInt16LE( this.device, 10 );
+	this.stream.write( header );
+}
+
+/**
+ * @method write
+ * @param {Number} seq frame sequence number
+ * @param {Number} timestamp capture time in ms since epoch
+ * @param {Buffer} depth raw depth frame
+ * @return {Boolean} false if the frame was dropped
+ */
+DepthRecordingWriter.prototype.write = function( seq, timestamp, depth ) {
+
+	if( this.closed ) return false;
+
+	if( this._waiting ){
+		this.dropped++;
+		return false;
+	}
+
+	var header = new Buffer( FRAME_HEADER_SIZE );
+	header.writeUInt32LE( seq >>> 0, 0 );
+	header.writeDoubleLE( timestamp, 4 );
+	header.writeUInt32LE( depth.length, 12 );
+
+	this.stream.write( header );
+	if( !this.stream.write( depth ) ) this._waiting = true;
+
+	this.frames++;
+	return true;
+};
+
+/**
+ * @method close
+ * @param {Function} [callback] called once everything is flushed to disk
+ */
+DepthRecordingWriter.prototype.close = function( callback ) {
+	if( this.closed ) return;
+	this.closed = true;
+	this.stream.end( callback );
+};
+
+
+module.exports = {
+	MAGIC: MAGIC,
+	VERSION: VERSION,
+	FILE_HEADER_SIZE: FILE_HEADER_SIZE,
+	FRAME_HEADER_SIZE: FRAME_HEADER_SIZE,
+	DepthRecordingReader: DepthRecordingReader,
+	DepthRecordingWriter: DepthRecordingWriter
+};
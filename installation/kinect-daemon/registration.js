@@ -0,0 +1,79 @@
+var KinectCalibration = require(__dirname + '/../../share/KinectCalibration');
+
+/**
+ * maps the kinect's RGB image onto the depth image's pixel grid, so pixel (x,y) of a registered
+ * video frame shows the color of depth pixel (x,y). the two cameras sit a couple of centimetres
+ * apart, so the offset between them depends on how far away each pixel is. intrinsics && offset
+ * come from the device's KinectCalibration ( see share/KinectCalibration.js ), the published defaults
+ * are close enough for tinting a point cloud but set measured values in devices.json for anything more precise
+ * @class VideoRegistration
+ * @constructor
+ * @param {Number} [width] depth/video width ( default 640 )
+ * @param {Number} [height] depth/video height ( default 480 )
+ * @param {KinectCalibration} [calibration] optional, the default calibration otherwise
+ */
+function VideoRegistration( width, height, calibration ){
+
+	calibration = calibration || new KinectCalibration();
+
+	this.width = width || 640;
+	this.height = height || 480;
+
+	var d = calibration.depth;
+	var c = calibration.rgb;
+	var tx = calibration.tx * 1000; // mm
+
+	// rgb x = c.fx * ( (x - d.cx) / d.fx + tx / z ) + c.cx, split into a per column and a per raw value term
+	this._col = new Float32Array( this.width );
+	for (var x = 0; x < this.width; x++) this._col[x] = c.fx * ( x - d.cx ) / d.fx + c.cx;
+
+	this._row = new Int16Array( this.height );
+	for (var y = 0; y < this.height; y++) this._row[y] = Math.round( c.fy * ( y - d.cy ) / d.fy + c.cy );
+
+	this._shift = new Float32Array( 2048 );
+	for (var raw = 0; raw < 2048; raw++) {
+		var z = calibration.mm[ raw ];
+		this._shift[ raw ] = ( z > 0 ) ? c.fx * tx / z : NaN;
+	}
+}
+
+/**
+ * @method register
+ * @param {Buffer} depth raw depth frame ( little-endian uint16 per pixel )
+ * @param {Buffer} rgb video frame ( 3 bytes per pixel )
+ * @return {Buffer} rgb frame aligned to depth, black where depth is unknown
+ */
+VideoRegistration.prototype.register = function( depth, rgb ) {
+
+	var w = this.width, h = this.height;
+	var out = new Buffer( w * h * 3 );
+	out.fill(0);
+
+	var i = 0, o = 0;
+	for (var y = 0; y < h; y++) {
+
+		var ry = this._row[y];
+		var inside = ( ry >= 0 && ry < h );
+
+		for (var x = 0; x < w; x++, i += 2, o += 3) {
+
+			if( !inside ) continue;
+
+			var shift = this._shift[ ( depth[i + 1] << 8 | depth[i] ) & 2047 ];
+			if( shift !== shift ) continue; // NaN, no depth here
+
+			var rx = Math.round( this._col[x] + shift );
+			if( rx < 0 || rx >= w ) continue;
+
+			var s = ( ry * w + rx ) * 3;
+			out[o] = rgb[s];
+			out[o + 1] = rgb[s + 1];
+			out[o + 2] = rgb[s + 2];
+		}
+	}
+
+	return out;
+};
+
+
+module.exports = VideoRegistration;
@@ -0,0 +1,194 @@
+// stands in for server.js when there's no kinect attached, streams a depth recording
+// over the same socket.io protocol ( 'kinect-depth' on :8008 ) at its original frame rate
+//
+// usage: node replay.js <recording.kdr> [--loop] [--speed 1.0] [--port 8008]
+//
+// socket commands:
+//		'replay-pause'
+//		'replay-play'
+//		'replay-seek'	{ time: ms } or { frame: index }
+//		'replay-speed'	{ speed: 0.5 }
+//		'replay-loop'	{ loop: true }
+// every change is echoed to all clients as 'replay-status', reaching the end w/o --loop also sends
+// 'replay-ended' ( the status, w/ended: true ), playing again then starts over
+
+var DepthRecordingReader = require(__dirname + '/recording').DepthRecordingReader;
+var DepthBroadcaster = require(__dirname + '/broadcaster');
+var DaemonHealth = require(__dirname + '/health');
+
+var app = require('./../node_modules/express')();
+var server = require('http').Server(app);
+var io = require('./../node_modules/socket.io')(server);
+
+var args = process.argv.slice(2);
+var opts = { path: null, loop: false, speed: 1.0, port: 8008 };
+
+for (var i = 0; i < args.length; i++) {
+	if( args[i] == '--loop' ) opts.loop = true;
+	else if( args[i] == '--speed' ) opts.speed = parseFloat( args[++i] );
+	else if( args[i] == '--port' ) opts.port = parseInt( args[++i], 10 );
+	else opts.path = args[i];
+}
+
+if( opts.path === null ){
+	console.error('usage: node replay.js <recording.kdr> [--loop] [--speed 1.0] [--port 8008]');
+	process.exit(1);
+}
+
+var recording = new DepthRecordingReader( opts.path );
+if( recording.frames.length === 0 ){
+	console.error('replay: ' + opts.path + ' has no frames');
+	process.exit(1);
+}
+
+var broadcaster = new DepthBroadcaster({ event: 'kinect-depth', queueSize: 1 });
+var health = new DaemonHealth({ source: 'replay', device: recording.device });
+
+console.log('replay: ' + opts.path + ' ( ' + recording.frames.length + ' frames, ' +
+			(recording.duration / 1000).toFixed(1) + 's, ' + recording.width + 'x' + recording.height + ' )');
+
+
+// ------------
+// ---------------------- ------ -- Player
+// ------------ ----
+// ---- ( schedules frames against a wall-clock base so timing errors don't accumulate )
+
+var Player = {
+	frame: 0,
+	seq: 0,		// sent with each frame, keeps counting up across seeks and loops
+	playing: false,
+	ended: false,	// stopped at the last frame w/o looping
+	speed: ( opts.speed > 0 ) ? opts.speed : 1.0,
+	loop: opts.loop,
+	timeout: null,
+	baseWall: 0,	// wall-clock time the current run started
+	baseMedia: 0,	// recording timestamp the current run started at
+	play: function(){
+		if( this.playing ) return;
+		if( this.ended ) this.frame = 0;
+		this.ended = false;
+		this.playing = true;
+		health.paused = false;
+		this._rebase();
+		this._tick();
+		this.broadcastStatus();
+	},
+	pause: function(){
+		this.playing = false;
+		health.paused = true;
+		clearTimeout( this.timeout );
+		this.broadcastStatus();
+	},
+	seek: function( index ){
+		this.ended = false;
+		this.frame = Math.max( 0, Math.min( index, recording.frames.length - 1 ) );
+		if( this.playing ){
+			clearTimeout( this.timeout );
+			this._rebase();
+			this._tick();
+		}
+		this.broadcastStatus();
+	},
+	setSpeed: function( speed ){
+		if( !(speed > 0) ) return;
+		this.speed = speed;
+		this._rebase();
+		this.broadcastStatus();
+	},
+	status: function(){
+		return {
+			playing: this.playing,
+			frame: this.frame,
+			frames: recording.frames.length,
+			time: recording.frames[ this.frame ].timestamp - recording.frames[0].timestamp,
+			duration: recording.duration,
+			speed: this.speed,
+			loop: this.loop,
+			ended: this.ended
+		};
+	},
+	broadcastStatus: function(){
+		io.emit('replay-status', this.status() );
+	},
+	_rebase: function(){
+		this.baseWall = Date.now();
+		this.baseMedia = recording.frames[ this.frame ].timestamp;
+	},
+	_tick: function(){
+		var self = this;
+
+		this.seq++;
+		health.frame();
+		broadcaster.push({
+			seq: this.seq,
+			timestamp: Date.now(),
+			device: recording.device,
+			width: recording.width,
+			height: recording.height
+		}, recording.read( this.frame ).depth );
+
+		this.frame++;
+		if( this.frame >= recording.frames.length ){
+			if( !this.loop ){
+				this.frame = recording.frames.length - 1;
+				this.ended = true;
+				this.pause();
+				io.emit('replay-ended', this.status() );
+				return;
+			}
+			this.frame = 0;
+			this._rebase();
+		}
+
+		var due = this.baseWall + ( recording.frames[ this.frame ].timestamp - this.baseMedia ) / this.speed;
+		this.timeout = setTimeout(function(){ self._tick(); }, Math.max( 0, due - Date.now() ));
+	}
+};
+
+
+app.get('/', function (req, res) {
+	res.sendFile(__dirname + '/index.html');
+});
+
+app.get('/DepthFrame.js', function (req, res) {
+	res.sendFile(require('path').resolve(__dirname + '/../../share/DepthFrame.js'));
+});
+
+app.get('/status', function (req, res) {
+	res.json( health.status( broadcaster.clientCount() ) );
+});
+
+setInterval(function(){
+	io.emit('status', health.status( broadcaster.clientCount() ) );
+}, 1000);
+
+io.on('connection', function (socket) {
+
+	broadcaster.add( socket );
+	socket.emit('status', health.status( broadcaster.clientCount() ) );
+	socket.emit('replay-status', Player.status() );
+
+	socket.on('replay-pause', function(){ Player.pause(); });
+	socket.on('replay-play', function(){ Player.play(); });
+	// anything that isn't a usable speed, loop flag, frame or time is ignored
+	socket.on('replay-speed', function(obj){
+		obj = obj || {};
+		Player.setSpeed( parseFloat( obj.speed ) );
+	});
+	socket.on('replay-loop', function(obj){
+		obj = obj || {};
+		if( typeof obj.loop !== "boolean" ) return;
+		Player.loop = obj.loop;
+		Player.broadcastStatus();
+	});
+	socket.on('replay-seek', function(obj){
+		obj = obj || {};
+		if( typeof obj.frame === "number" && isFinite( obj.frame ) ) Player.seek( Math.floor( obj.frame ) );
+		else if( typeof obj.time === "number" && isFinite( obj.time ) ) Player.seek( recording.indexAt( obj.time ) );
+	});
+});
+
+server.listen(opts.port);
+console.log('replaying on http://localhost:' + opts.port);
+
+Player.play();
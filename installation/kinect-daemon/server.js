@@ -1,37 +1,357 @@
-process.setMaxListeners(3);
-// App will crash after 11 connections :/
-// require('events').EventEmitter.defaultMaxListeners = Infinity; // HACK AND NOT WORKING
 var Kinect = require(__dirname + '/node-kinect/kinect');
-var kinect = new Kinect({device: 0});
 var util = require('util');
+var DepthRecordingWriter = require(__dirname + '/recording').DepthRecordingWriter;
+var DepthBroadcaster = require(__dirname + '/broadcaster');
+var DaemonHealth = require(__dirname + '/health');
+var VideoRegistration = require(__dirname + '/registration');
+var DepthCombiner = require(__dirname + '/combiner');
+var KinectCalibration = require(__dirname + '/../../share/KinectCalibration');
 
 var app = require('./../node_modules/express')();
 var server = require('http').Server(app);
 var io = require('./../node_modules/socket.io')(server);
 
-// kinect.start('video');
-kinect.start('depth');
+// how many devices to probe for, their extrinsics, calibration && the combined view, see combiner.js
+var CONFIG = require(__dirname + '/devices.json');
 
-kinect.resume();
-kinect.setMaxListeners(0);
+// rgb costs usb bandwidth && cpu for the registration, so it's off unless asked for
+var VIDEO = process.argv.indexOf('--video') !== -1 || process.env.KINECT_VIDEO === '1';
+
+// device id in the DepthFrame header of combined frames
+var COMBINED = 0xffff;
+
+// what the Kinect v1 motor && LED can do ( libfreenect's freenect_led_options )
+var TILT_RANGE = 27;
+var LED_STATES = ['off', 'green', 'red', 'yellow', 'blink green', 'blink red yellow'];
 
 app.get('/', function (req, res) {
   res.sendFile(__dirname + '/index.html');
 });
 
-io.on('connection', function (socket) {
+app.get('/DepthFrame.js', function (req, res) {
+  res.sendFile(require('path').resolve(__dirname + '/../../share/DepthFrame.js'));
+});
+
+// device state, fps, time since the last frame, clients && uptime of the default device ( see health.js ),
+// with the same for every device ( && the combined stream ) under 'devices'
+app.get('/status', function (req, res) {
+  res.json( status() );
+});
+
+
+// ------------
+// ---------------------- ------ -- Device
+// ------------ ----
+// ---- ( one per attached kinect, streamed on the /device/<id> namespace, device 0 also on / )
+
+function Device( id, kinect ){
+
+	var self = this;
+
+	this.id = id;
+	this.kinect = kinect;
+	this.seq = 0;
+	this.lastDepth = null;
+
+	// raw -> millimetres && intrinsics, sent to clients as 'calibration' ( see share/KinectCalibration.js )
+	var config = CONFIG.devices.filter(function( d ){ return d.id === id; })[0] || {};
+	this.calibration = new KinectCalibration( config.calibration );
+
+	// tilt motor, LED && accelerometer, reported to clients as 'motor'
+	this.motor = {
+		supported: typeof kinect.tilt === "function" && typeof kinect.led === "function",
+		tilt: 0,
+		led: 'green',
+		accelerometer: null	// { x, y, z } in m/s^2 once read
+	};
+
+	// one device listener for every client, see broadcaster.js
+	this.broadcaster = new DepthBroadcaster({ event: 'kinect-depth', queueSize: 1 });
+	this.health = new DaemonHealth({ source: 'kinect', device: id, video: VIDEO });
+
+	// registered rgb, only sent to clients that subscribe with a 'kinect-video' message
+	// ( or 'video=1' in the handshake query ), shaped with the same stream params as their depth
+	this.videoBroadcaster = new DepthBroadcaster({ event: 'kinect-video', queueSize: 1, bytesPerPixel: 3, optIn: true });
+	this.registration = new VideoRegistration( 640, 480, this.calibration );
+
+	kinect.on('error', function(err){
+		console.error('kinect ' + id + ' error: ' + err);
+		self.health.setError( err );
+	});
+
+	kinect.on('depth', function(buf){ self.onDepth( buf ); });
+	kinect.on('video', function(buf){ self.onVideo( buf ); });
+	kinect.on('accelerometer', function(x, y, z){ self.motor.accelerometer = { x: x, y: y, z: z }; });
+
+	if( VIDEO ) kinect.start('video');
+	kinect.start('depth');
+	kinect.resume();
+}
+
+Device.prototype.onDepth = function( buf ) {
+
+	var now = Date.now();
+	this.seq++;
+	this.lastDepth = buf;
+	this.health.frame();
+
+	if( this.id === Recorder.device && Recorder.writer !== null ) Recorder.writer.write( this.seq, now, buf );
+	this.broadcaster.push({ seq: this.seq, timestamp: now, device: this.id, width: 640, height: 480 }, buf );
+
+	Combined.update( this.id, buf, now );
+};
+
+// each video frame is registered against the latest depth frame and carries that frame's seq,
+// so clients can pair the two channels ( the timestamp is still the video's own capture time )
+Device.prototype.onVideo = function( buf ) {
+
+	if( this.lastDepth === null || this.videoBroadcaster.clientCount() === 0 ) return;
+	this.videoBroadcaster.push({ seq: this.seq, timestamp: Date.now(), device: this.id, width: 640, height: 480 },
+		this.registration.register( this.lastDepth, buf ) );
+};
+
+/**
+ * @method setTilt
+ * @param {Number} angle degrees from level, clamped to +/- TILT_RANGE
+ */
+Device.prototype.setTilt = function( angle ) {
+
+	if( !this.motor.supported || typeof angle !== "number" || isNaN( angle ) ) return;
+
+	this.motor.tilt = Math.max( -TILT_RANGE, Math.min( TILT_RANGE, Math.round( angle ) ) );
+	this.kinect.tilt( this.motor.tilt );
+	this.broadcastMotor();
+};
+
+/**
+ * @method setLed
+ * @param {String} state one of LED_STATES
+ */
+Device.prototype.setLed = function( state ) {
+
+	if( !this.motor.supported || LED_STATES.indexOf( state ) === -1 ) return;
+
+	this.motor.led = state;
+	this.kinect.led( state );
+	this.broadcastMotor();
+};
+
+// the accelerometer only updates when asked, the motor needs a moment to settle after a tilt
+Device.prototype.readAccelerometer = function() {
+
+	if( typeof this.kinect.accelerometer !== "function" ) return this.motor.accelerometer;
+
+	var a = this.kinect.accelerometer();
+	if( a ) this.motor.accelerometer = { x: a.x, y: a.y, z: a.z };
+	return this.motor.accelerometer;
+};
+
+Device.prototype.broadcastMotor = function() {
+	var motor = this.motor;
+	this.namespaces().forEach(function( nsp ){ nsp.emit('motor', motor ); });
+};
+
+Device.prototype.namespaces = function() {
+	var list = [ io.of('/device/' + this.id) ];
+	if( this.id === 0 ) list.push( io.of('/') );
+	return list;
+};
 
-	function kinectCallback(buf) {
-		socket.emit('kinect-depth', buf);
+Device.prototype.status = function() {
+	return this.health.status( this.broadcaster.clientCount() );
+};
+
+Device.prototype.connect = function( socket ) {
+
+	var self = this;
+
+	this.broadcaster.add( socket );
+	this.videoBroadcaster.add( socket );
+	if( socket.handshake.query.video === '1' ) this.videoBroadcaster.setEnabled( socket, VIDEO );
+
+	socket.on('kinect-video', function(obj){
+		obj = obj || {};
+		self.videoBroadcaster.setEnabled( socket, VIDEO && obj.value );
+	});
+
+	socket.emit('calibration', this.calibration.params() );
+	socket.emit('motor', this.motor );
+
+	// setTilt && setLed ignore a NaN angle or an unknown state
+	socket.on('tilt', function(obj){
+		obj = obj || {};
+		self.setTilt( parseFloat( obj.angle ) );
+	});
+	socket.on('led', function(obj){
+		obj = obj || {};
+		self.setLed( obj.state );
+	});
+	socket.on('accelerometer', function(){
+		self.readAccelerometer();
+		socket.emit('motor', self.motor );
+	});
+};
+
+
+// probe for kinects until one fails to open, the first one has to be there
+var devices = [];
+
+for (var id = 0; id < ( CONFIG.maxDevices || 1 ); id++) {
+	var kinect;
+	try {
+		kinect = new Kinect({ device: id });
+	} catch( err ) {
+		if( id === 0 ) throw err;
+		break;
 	}
+	devices.push( new Device( id, kinect ) );
+}
+
+console.log('found ' + devices.length + ' kinect' + ( devices.length > 1 ? 's' : '' ));
+
+
+// ------------
+// ---------------------- ------ -- Combined
+// ------------ ----
+// ---- ( every device merged into one depth frame from a virtual view, on the /combined namespace )
+
+var Combined = {
+	enabled: CONFIG.combined.enabled,
+	combiner: new DepthCombiner({ view: CONFIG.combined.view, devices: CONFIG.devices }),
+	broadcaster: new DepthBroadcaster({ event: 'kinect-depth', queueSize: 1 }),
+	health: new DaemonHealth({ source: 'combined', device: COMBINED }),
+	interval: 1000 / ( CONFIG.combined.fps || 15 ),
+	seq: 0,
+	nextDue: 0,
+	update: function( id, buf, now ){
+
+		if( !this.enabled ) return;
+		this.combiner.setFrame( id, buf );
 
-	// socket.setMaxListeners(0); // NOT WORKING
-	kinect.on('depth', kinectCallback);
+		// merging is expensive, skip it entirely while nobody's watching
+		if( now < this.nextDue || this.broadcaster.clientCount() === 0 ) return;
+		this.nextDue = now + this.interval;
 
-	socket.on('disconnect', function(){
-		kinect.removeListener('depth', kinectCallback);
+		this.seq++;
+		this.health.frame();
+		this.broadcaster.push({ seq: this.seq, timestamp: now, device: COMBINED, width: 640, height: 480 },
+			this.combiner.combine() );
+	},
+	status: function(){
+		return this.health.status( this.broadcaster.clientCount() );
+	}
+};
+
+
+// ------------
+// ---------------------- ------ -- Recorder
+// ------------ ----
+// ---- ( writes the default device's raw depth stream to ../../data/recordings, see recording.js )
+
+var Recorder = {
+	dir: __dirname + '/../../data/recordings/',
+	device: 0,
+	writer: null,
+	start: function(){
+		if( this.writer !== null ) return;
+		var stamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+$/, '');
+		var writer = this.writer = new DepthRecordingWriter( this.dir + 'depth-' + stamp + '.kdr', {
+			width: 640, height: 480, device: this.device,
+			onError: function(){ Recorder.failed( writer ); }
+		});
+		console.log('recording depth to ' + this.writer.path);
+		this.broadcastStatus();
+	},
+	stop: function(){
+		if( this.writer === null ) return;
+		var writer = this.writer;
+		this.writer = null;
+		writer.close(function(){
+			console.log('saved ' + writer.frames + ' frames to ' + writer.path +
+						' ( ' + writer.dropped + ' dropped )');
+		});
+		this.broadcastStatus( writer );
+	},
+	// the disk gave up ( full, unplugged.. ), the writer closed itself
+	failed: function( writer ){
+		if( this.writer !== writer ) return;
+		this.writer = null;
+		console.log('recording to ' + writer.path + ' stopped: ' + writer.error);
+		this.broadcastStatus( writer );
+	},
+	status: function( writer ){
+		writer = writer || this.writer;
+		return {
+			recording: this.writer !== null,
+			file: ( writer ) ? writer.path.split('/').pop() : null,
+			frames: ( writer ) ? writer.frames : 0,
+			dropped: ( writer ) ? writer.dropped : 0,
+			error: ( writer ) ? writer.error : null
+		};
+	},
+	broadcastStatus: function( writer ){
+		var status = this.status( writer );
+		namespaces().forEach(function( nsp ){ nsp.emit('recording', status ); });
+	},
+	// any client can start && stop recording, whichever channel it's subscribed to
+	connect: function( socket ){
+		socket.emit('recording', this.status() );
+		socket.on('record', function(obj){
+			obj = obj || {};
+			if( obj.value ) Recorder.start();
+			else Recorder.stop();
+		});
+	}
+};
+
+
+function namespaces(){
+	var list = [ io.of('/') ];
+	devices.forEach(function( device ){ list.push( io.of('/device/' + device.id) ); });
+	if( Combined.enabled ) list.push( io.of('/combined') );
+	return list;
+}
+
+function status(){
+	var s = devices[0].status();
+	s.devices = devices.map(function( device ){ return device.status(); });
+	if( Combined.enabled ) s.devices.push( Combined.status() );
+	return s;
+}
+
+setInterval(function(){
+	if( Recorder.writer !== null ) Recorder.broadcastStatus();
+	io.emit('status', status() );
+	devices.forEach(function( device ){
+		io.of('/device/' + device.id).emit('status', device.status() );
+	});
+	if( Combined.enabled ) io.of('/combined').emit('status', Combined.status() );
+}, 1000);
+
+
+// default namespace, device 0
+io.on('connection', function (socket) {
+	devices[0].connect( socket );
+	socket.emit('status', status() );
+	Recorder.connect( socket );
+});
+
+devices.forEach(function( device ){
+	io.of('/device/' + device.id).on('connection', function (socket) {
+		device.connect( socket );
+		socket.emit('status', device.status() );
+		Recorder.connect( socket );
 	});
 });
 
+if( Combined.enabled ){
+	io.of('/combined').on('connection', function (socket) {
+		Combined.broadcaster.add( socket );
+		socket.emit('calibration', Combined.combiner.calibration.params() );
+		socket.emit('status', Combined.status() );
+		Recorder.connect( socket );
+	});
+}
+
 server.listen(8008);
 console.log('listening on http://localhost:8008');
@@ -0,0 +1,100 @@
+// stream parameters a client can ask the daemon for, either in the socket.io handshake query
+//
+//		io.connect('http://localhost:8008', { query: 'fps=15&downsample=4&crop=160,0,320,480' });
+//
+// or at any time after connecting
+//
+//		socket.emit('stream-params', { fps: 15, downsample: 4, crop: { x: 160, y: 0, width: 320, height: 480 } });
+//
+// 'fps' caps the frame rate ( 0 = device rate ), 'downsample' keeps every nth pixel in both
+// directions and 'crop' is a rectangle in full resolution pixels, applied before downsampling.
+// the daemon answers with the parameters it actually applied as 'stream-params'
+
+var StreamParams = {
+
+	/**
+	 * normalises params from a handshake query ( strings ) or a 'stream-params' message
+	 * @method parse
+	 * @param {Object} [raw]
+	 * @return {Object} { fps, downsample, crop, key }
+	 */
+	parse: function( raw ){
+
+		raw = raw || {};
+
+		var fps = parseFloat( raw.fps );
+		var downsample = parseInt( raw.downsample, 10 );
+		var crop = raw.crop;
+
+		if( typeof crop === "string" ){
+			var c = crop.split(',').map( Number );
+			crop = { x: c[0], y: c[1], width: c[2], height: c[3] };
+		}
+
+		if( !crop || !( crop.width > 0 ) || !( crop.height > 0 ) ) crop = null;
+		else crop = {
+			x: Math.max( 0, Math.floor( crop.x ) || 0 ),
+			y: Math.max( 0, Math.floor( crop.y ) || 0 ),
+			width: Math.floor( crop.width ),
+			height: Math.floor( crop.height )
+		};
+
+		var params = {
+			fps: ( fps > 0 ) ? fps : 0,
+			downsample: ( downsample > 1 ) ? downsample : 1,
+			crop: crop
+		};
+
+		// clients asking for the same frame shape share the work, see DepthBroadcaster.push
+		params.key = params.downsample + ':' + ( crop ? [crop.x, crop.y, crop.width, crop.height].join(',') : 'full' );
+
+		return params;
+	},
+
+	/**
+	 * crops && downsamples a raw depth frame ( nearest neighbour, so raw values
+	 * are never blended with the zero-value holes around them )
+	 * @method apply
+	 * @param {Buffer} depth raw depth, one little-endian uint16 per pixel
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Object} params as returned by parse()
+	 * @param {Number} [bytesPerPixel] default 2, 3 for registered rgb video
+	 * @return {Object} { depth, width, height }
+	 */
+	apply: function( depth, width, height, params, bytesPerPixel ){
+
+		var bpp = bytesPerPixel || 2;
+
+		if( params.downsample === 1 && params.crop === null ){
+			return { depth: depth, width: width, height: height };
+		}
+
+		var x0 = 0, y0 = 0, cw = width, ch = height;
+		if( params.crop !== null ){
+			x0 = Math.min( params.crop.x, width - 1 );
+			y0 = Math.min( params.crop.y, height - 1 );
+			cw = Math.min( params.crop.width, width - x0 );
+			ch = Math.min( params.crop.height, height - y0 );
+		}
+
+		var step = params.downsample;
+		var outW = Math.ceil( cw / step );
+		var outH = Math.ceil( ch / step );
+		var out = new Buffer( outW * outH * bpp );
+		var o = 0;
+
+		for (var y = 0; y < outH; y++) {
+			var row = ( (y0 + y * step) * width + x0 ) * bpp;
+			for (var x = 0; x < outW; x++) {
+				var i = row + x * step * bpp;
+				for (var b = 0; b < bpp; b++) out[o++] = depth[i + b];
+			}
+		}
+
+		return { depth: out, width: outW, height: outH };
+	}
+};
+
+
+module.exports = StreamParams;
@@ -0,0 +1,82 @@
+// stands in for server.js with generated depth ( see share/SyntheticDepth.js ), streamed over the same
+// socket.io protocol ( 'kinect-depth' on :8008 ). the scene loops forever, the ground truth for every
+// frame goes out alongside it as 'synthetic-truth' { seq, truth } so clients can check what they detect
+//
+// usage: node synthetic.js [--scene visitor] [--fps 30] [--seed 1] [--port 8008]
+//
+// scenes: empty, visitor, pair, passerby
+
+var SyntheticDepth = require(__dirname + '/../../share/SyntheticDepth');
+var DepthBroadcaster = require(__dirname + '/broadcaster');
+var DaemonHealth = require(__dirname + '/health');
+
+var app = require('./../node_modules/express')();
+var server = require('http').Server(app);
+var io = require('./../node_modules/socket.io')(server);
+
+var args = process.argv.slice(2);
+var opts = { scene: 'visitor', fps: 30, seed: 1, port: 8008 };
+
+for (var i = 0; i < args.length; i++) {
+	if( args[i] == '--scene' ) opts.scene = args[++i];
+	else if( args[i] == '--fps' ) opts.fps = parseFloat( args[++i] );
+	else if( args[i] == '--seed' ) opts.seed = parseInt( args[++i], 10 );
+	else if( args[i] == '--port' ) opts.port = parseInt( args[++i], 10 );
+}
+
+var scene;
+try {
+	scene = SyntheticDepth.scene( opts.scene, { seed: opts.seed, loop: true } );
+} catch( err ) {
+	console.error('synthetic: ' + err.message);
+	process.exit(1);
+}
+
+var broadcaster = new DepthBroadcaster({ event: 'kinect-depth', queueSize: 1 });
+var health = new DaemonHealth({ source: 'synthetic', device: 0 });
+
+console.log('synthetic: "' + opts.scene + '" scene ( ' + (scene.duration / 1000).toFixed(1) + 's loop ) at ' + opts.fps + 'fps');
+
+
+var startedAt = Date.now();
+var seq = 0;
+
+function tick(){
+
+	var now = Date.now();
+	var frame = scene.frame( now - startedAt );
+	var buf = new Buffer( frame.depth.length * 2 );
+	for (var i = 0; i < frame.depth.length; i++) buf.writeUInt16LE( frame.depth[i], i * 2 );
+
+	seq++;
+	health.frame();
+	broadcaster.push({ seq: seq, timestamp: now, device: 0, width: scene.width, height: scene.height }, buf );
+	io.emit('synthetic-truth', { seq: seq, truth: frame.truth });
+}
+
+
+app.get('/', function (req, res) {
+	res.sendFile(__dirname + '/index.html');
+});
+
+app.get('/DepthFrame.js', function (req, res) {
+	res.sendFile(require('path').resolve(__dirname + '/../../share/DepthFrame.js'));
+});
+
+app.get('/status', function (req, res) {
+	res.json( health.status( broadcaster.clientCount() ) );
+});
+
+setInterval(function(){
+	io.emit('status', health.status( broadcaster.clientCount() ) );
+}, 1000);
+
+io.on('connection', function (socket) {
+	broadcaster.add( socket );
+	socket.emit('status', health.status( broadcaster.clientCount() ) );
+});
+
+server.listen(opts.port);
+console.log('generating on http://localhost:' + opts.port);
+
+setInterval( tick, 1000 / ( opts.fps > 0 ? opts.fps : 30 ) );
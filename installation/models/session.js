@@ -11,11 +11,13 @@ var seshSchema = new Schema({
 	sessionStart: { type: Date, default: Date.now },
 	sessionEnd: Date,
 	urlAvailable: { type:Boolean, default:false },
+	people: { type:Number, default:0 }, // most people ( foreground blobs ) in frame at once
 	keyFrames: [
 		{ 
 			depthData: String,
 			diffDataURL: String,
-			motionValue: Number
+			motionValue: Number,
+			people: Number
 		}
 	]
 });
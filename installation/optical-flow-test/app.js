@@ -1,4 +1,4 @@
-var socket = io.connect('http://localhost:8008');
+var socket = io.connect('http://localhost:8008', { query: 'ack=1' });
 var guiObj = { cutoff: 1000 };
 var gui; 
 
@@ -56,8 +56,8 @@ function setup() {
 	gui = new dat.GUI();
 	gui.add(guiObj, 'cutoff', 500, 2000 ).name('Cutoff');
 
-	socket.on('kinect-depth', function(data) {
-		var d = new Uint8ClampedArray(data);
+	socket.on('kinect-depth', function(data, ack) {
+		var d = DepthFrame.unpack(data).depth;
 
 		var i = 0;
 		for (var y = 0; y < 480; y++) {
@@ -77,6 +77,7 @@ function setup() {
 		context.putImageData(imageData, 0, 0);
 		// depth.updateCanvasData(d);
 		// flowField.addFrame(depth.imageData.data);
+		if( typeof ack === "function" ) ack();
 	});
 
 	var zoneSize = 8;
@@ -1,20 +1,44 @@
-var socket = io.connect('http://localhost:8008');
+// the flow field only needs a quarter of the pixels, have the daemon downsample for us
+var socket = io.connect('http://localhost:8008', { query: 'downsample=2&ack=1' });
 
-var width = 640;
-var height = 480;
+var width = 320;
+var height = 240;
 
-var flowField = new OpticalFlowField(width, height, 10, true);
+var flowField = new OpticalFlowField({ width: width, height: height, scale: 2 });
 
 var gui = new dat.GUI();
-gui.add(flowField, 'cutoff', 500, 2000 ).name('Cutoff');
+gui.add(flowField, 'threshold', 0.0, 4.0 ).name('Threshold');
+gui.add(flowField, 'smoothing', 0.0, 0.95 ).name('Smoothing');
 
-socket.on('kinect-depth', function(data) {
-	var d = new Uint8ClampedArray(data);
-	// unlike FrameDifference.addFrame(), OpticalFlowField.addFrame()
-	// must take a Uint8ClampedArray not an ImageData.data.
+// OpticalFlowField doesn't draw anything itself, a line per cell that moved
+var canvas = document.createElement('canvas');
+canvas.width = width;
+canvas.height = height;
+document.body.appendChild(canvas);
+var ctx = canvas.getContext('2d');
+
+function drawField() {
+	var cellW = width / flowField.columns, cellH = height / flowField.rows;
+	var f = flowField.field;
+	ctx.fillStyle = '#000';
+	ctx.fillRect(0, 0, width, height);
+	ctx.strokeStyle = '#fff';
+	for (var c = 0; c < flowField.columns * flowField.rows; c++) {
+		if( f[c * 4 + 3] === 0 ) continue;
+		var x = ( c % flowField.columns + 0.5 ) * cellW;
+		var y = ( Math.floor( c / flowField.columns ) + 0.5 ) * cellH;
+		ctx.beginPath();
+		ctx.moveTo(x, y);
+		ctx.lineTo(x + ( f[c * 4] - 128 ) / 127 * cellW, y + ( f[c * 4 + 1] - 128 ) / 127 * cellH);
+		ctx.stroke();
+	}
+}
+
+socket.on('kinect-depth', function(data, ack) {
+	var d = DepthFrame.unpack(data).depth;
 	flowField.addFrame(d);
+	drawField();
 	document.getElementById('u-val').innerHTML = flowField.u;
 	document.getElementById('v-val').innerHTML = flowField.v;
+	if( typeof ack === "function" ) ack();
 });
-
-
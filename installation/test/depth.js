@@ -0,0 +1,158 @@
+/*
+	checks the depth plumbing that runs outside the browser: DepthCodec's canvas encoding, DepthDifference's
+	hysteresis && region motion on hand built frames, && depth recordings written then read back
+
+	node test/depth.js
+*/
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var DepthCodec = require('../../share/DepthCodec');
+var DepthDifference = require('../../share/DepthDifference');
+var recording = require('../kinect-daemon/recording');
+
+// little-endian bytes of raw values, like the kinect-daemon sends them
+function bytes( raws ){
+	var depth = new Uint8Array( raws.length * 2 );
+	for (var i = 0; i < raws.length; i++) {
+		depth[i * 2] = raws[i] & 255;
+		depth[i * 2 + 1] = raws[i] >> 8;
+	}
+	return depth;
+}
+
+// a frame of one raw value w/some pixels set to others
+function frame( width, height, raw, pixels ){
+	var raws = [];
+	for (var i = 0; i < width * height; i++) raws.push( raw );
+	for (var p in pixels ) raws[p] = pixels[p];
+	return bytes( raws );
+}
+
+// the raw value DepthCodec.encode() draws w/a given red ( near half of the encoding )
+function rawForRed( red ){
+	return Math.round( ( 255 - red ) * 1024 / 255 );
+}
+
+
+//-----------------------
+// DepthCodec
+//-----------------------
+
+var raws = [ 0, 1, 512, 1023, 1024, 1500, 2046 ];
+var pixels = new Uint8ClampedArray( raws.length * 4 );
+DepthCodec.encode( bytes( raws ), pixels );
+var decoded = DepthCodec.decode( pixels );
+
+for (var i = 0; i < raws.length; i++) {
+	assert.ok( Math.abs( decoded[i] - raws[i] ) <= 2, 'raw ' + raws[i] + ' decoded as ' + decoded[i] );
+}
+assert.deepEqual( DepthCodec.raw( bytes( raws ) ), new Uint16Array( raws ), 'raw() of little-endian bytes' );
+
+console.log( 'DepthCodec: ok' );
+
+
+//-----------------------
+// DepthDifference hysteresis
+//-----------------------
+
+// no distance scaling && no noise threshold, so every pixel needs 0.05 * 2048 = 102.4 ( encoded ) to start moving
+// && half that to keep moving
+var w = 8, h = 8;
+var difference = new DepthDifference({ width: w, height: h, threshold: 0.05, distanceScale: 0, noiseFactor: 0, hysteresis: 0.5 });
+
+difference.addFrame( frame( w, h, rawForRed( 230 ), {} ) );
+assert.strictEqual( difference.motion, 0, 'the first frame is only remembered' );
+
+// pixel 0 jumps by 150, pixel 1 by 60
+difference.addFrame( frame( w, h, rawForRed( 230 ), { 0: rawForRed( 80 ), 1: rawForRed( 170 ) } ) );
+assert.strictEqual( difference.mask[0], 1, 'a change past the threshold moves' );
+assert.strictEqual( difference.mask[1], 0, 'a change under the threshold doesn\'t' );
+assert.ok( difference.changed, 'changed w/motion' );
+
+// both change by 60 again: pixel 0 was moving so half the threshold is enough, pixel 1 wasn't
+difference.addFrame( frame( w, h, rawForRed( 230 ), { 0: rawForRed( 140 ), 1: rawForRed( 110 ) } ) );
+assert.strictEqual( difference.mask[0], 1, 'a moving pixel keeps moving past half its threshold' );
+assert.strictEqual( difference.mask[1], 0, 'a still pixel needs the whole threshold' );
+
+// pixel 0 changes by 40, under half the threshold
+var motion = difference.addFrame( frame( w, h, rawForRed( 230 ), { 0: rawForRed( 180 ), 1: rawForRed( 110 ) } ) );
+assert.strictEqual( difference.mask[0], 0, 'a moving pixel stops under half its threshold' );
+assert.strictEqual( motion, 0, 'no motion once it stopped' );
+assert.ok( difference.changed, 'changed once more to clear the last motion' );
+
+console.log( 'DepthDifference hysteresis: ok' );
+
+
+//-----------------------
+// DepthDifference region motion
+//-----------------------
+
+difference = new DepthDifference({ width: w, height: h, threshold: 0.05, distanceScale: 0, noiseFactor: 0 });
+difference.setRegions( DepthDifference.grid( 2, 1 ).concat({ name: "left", polygon: [ [0, 0], [0.5, 0], [0.5, 1], [0, 1] ] }) );
+
+// four pixels of the left half change by 150
+var moved = {};
+[ 0, 1, w, w + 1 ].forEach(function( p ){ moved[p] = rawForRed( 80 ); });
+
+difference.addFrame( frame( w, h, rawForRed( 230 ), {} ) );
+difference.addFrame( frame( w, h, rawForRed( 230 ), moved ) );
+
+var change = 230 - 80;
+var expected = DepthDifference.metric( 4 * change, w / 2, h );
+assert.ok( Math.abs( difference.regionMotion.c0r0 - expected ) < 1e-9, 'left half ' + difference.regionMotion.c0r0 + ' != ' + expected );
+assert.strictEqual( difference.regionMotion.c1r0, 0, 'nothing moved in the right half' );
+assert.ok( Math.abs( difference.regionMotion.left - expected ) < 1e-9, 'polygon region ' + difference.regionMotion.left + ' != ' + expected );
+assert.ok( Math.abs( difference.motion - DepthDifference.metric( 4 * change, w, h ) ) < 1e-9, 'whole frame motion' );
+
+// the same frame again keeps the motion values
+difference.addFrame( frame( w, h, rawForRed( 230 ), moved ) );
+assert.strictEqual( difference.changed, false, 'a repeated frame changes nothing' );
+assert.ok( Math.abs( difference.regionMotion.c0r0 - expected ) < 1e-9, 'a repeated frame keeps region motion' );
+
+console.log( 'DepthDifference regions: ok' );
+
+
+//-----------------------
+// depth recordings
+//-----------------------
+
+var file = path.join( os.tmpdir(), 'emerge-test-' + process.pid + '.kdr' );
+var frames = [
+	{ seq: 1, timestamp: 1000.5, raws: [ 0, 1, 1023, 1024, 2046, 2047, 7, 8 ] },
+	{ seq: 2, timestamp: 1033.25, raws: [ 2047, 2046, 1024, 1023, 1, 0, 8, 7 ] },
+	{ seq: 5, timestamp: 1133, raws: [ 500, 500, 500, 500, 500, 500, 500, 500 ] } // seq 3 && 4 dropped
+];
+
+var writer = new recording.DepthRecordingWriter( file, { width: 4, height: 2, device: 1 } );
+frames.forEach(function( f ){
+	assert.ok( writer.write( f.seq, f.timestamp, new Buffer( bytes( f.raws ) ) ), 'frame ' + f.seq + ' dropped' );
+});
+
+writer.close(function(){
+
+	var reader = new recording.DepthRecordingReader( file );
+
+	try {
+		assert.strictEqual( reader.version, recording.VERSION, 'version' );
+		assert.strictEqual( reader.width, 4, 'width' );
+		assert.strictEqual( reader.height, 2, 'height' );
+		assert.strictEqual( reader.device, 1, 'device' );
+		assert.strictEqual( reader.frames.length, frames.length, 'frame count' );
+
+		frames.forEach(function( f, i ){
+			var read = reader.read( i );
+			assert.strictEqual( read.seq, f.seq, 'seq of frame ' + i );
+			assert.strictEqual( read.timestamp, f.timestamp, 'timestamp of frame ' + i );
+			assert.deepEqual( DepthCodec.raw( new Uint8Array( read.depth ) ), new Uint16Array( f.raws ), 'depth of frame ' + i );
+		});
+
+		assert.strictEqual( reader.indexAt( 100 ), 1, 'frame playing 100ms in' );
+	} finally {
+		reader.close();
+		fs.unlinkSync( file );
+	}
+
+	console.log( 'depth recordings: ok' );
+});
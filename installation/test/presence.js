@@ -0,0 +1,66 @@
+/*
+	runs the synthetic "visitor" scene ( empty room, someone walks in, waves, stands && leaves )
+	through PresenceZone && BackgroundModel && checks what they report against the scene's ground truth
+
+	node test/presence.js
+*/
+var assert = require('assert');
+var SyntheticDepth = require('../../share/SyntheticDepth');
+var PresenceZone = require('../../share/PresenceZone');
+var BackgroundModel = require('../../share/BackgroundModel');
+
+var width = 160, height = 120;
+var scene = SyntheticDepth.scene( "visitor", { width: width, height: height, seed: 3 } );
+
+var zone = new PresenceZone({ width: width, height: height });
+	zone.set({ near: 50, far: 300, polygon: [] });
+
+// the scene's 1.5 raw units of jitter is ~6cm on the floor 3m out, past the default 5cm
+var bg = new BackgroundModel({ width: width, height: height, tolerance: 10 });
+
+var checked = { present: 0, empty: 0 };
+
+for (var t = 0; t <= 20000; t += 100) {
+	var f = scene.frame( t );
+	var depth = SyntheticDepth.bytes( f.depth );
+	zone.update( depth );
+	bg.addFrame( depth, zone.active );
+
+	if( !bg.ready() ) continue;
+
+	var at = ' at ' + t + 'ms';
+
+	if( f.truth.present ){
+		var figure = f.truth.figures[0];
+		// while entering the figure is still partly off frame, only judge it once it's standing in the room
+		if( figure.action == "enter" || figure.action == "leave" ) continue;
+
+		assert.ok( bg.occupancy > 0.05, 'occupancy ' + bg.occupancy + ' too low with someone there' + at );
+		assert.ok( Math.abs( bg.nearest - figure.distance / 1000 ) < 0.3,
+			'nearest ' + bg.nearest + 'm, figure stands at ' + figure.distance / 1000 + 'm' + at );
+		// a stray noisy floor pixel can stretch the bbox sideways now && then, so it has to hold the
+		// figure rather than match it, && ( nearly ) all foreground has to be the figure
+		var box = bg.bbox, fig = figure.bbox;
+		assert.ok( box && box.x <= fig.x && box.y <= fig.y &&
+			box.x + box.width >= fig.x + fig.width && box.y + box.height >= fig.y + fig.height,
+			'bbox ' + JSON.stringify( box ) + ' misses figure ' + JSON.stringify( fig ) + at );
+		assert.strictEqual( box.y, fig.y, 'bbox top ' + box.y + ' != figure top ' + fig.y + at );
+		assert.strictEqual( box.height, fig.height, 'bbox height ' + box.height + ' != figure height ' + fig.height + at );
+		var outside = 0;
+		for (var y = 0; y < height; y++) {
+			for (var x = 0; x < width; x++) {
+				if( bg.mask[ y * width + x ] && ( x < fig.x || x >= fig.x + fig.width || y < fig.y || y >= fig.y + fig.height ) ) outside++;
+			}
+		}
+		assert.ok( outside <= bg.foreground * 0.01, outside + ' of ' + bg.foreground + ' foreground pixels outside the figure' + at );
+		checked.present++;
+	} else {
+		assert.ok( bg.occupancy < 0.01, 'occupancy ' + bg.occupancy + ' in an empty room' + at );
+		assert.strictEqual( bg.bbox, null, 'bbox ' + JSON.stringify( bg.bbox ) + ' in an empty room' + at );
+		checked.empty++;
+	}
+}
+
+assert.ok( checked.present > 0 && checked.empty > 0, 'the scene never showed both a visitor && an empty room' );
+
+console.log( 'presence: ok ( ' + checked.present + ' frames with a visitor, ' + checked.empty + ' empty )' );
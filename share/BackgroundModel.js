@@ -0,0 +1,167 @@
+if( typeof KinectCalibration === "undefined" && typeof require === "function" ) var KinectCalibration = require('./KinectCalibration');
+
+/**
+ * learns the depth of the empty scene pixel by pixel && picks out whatever stands in front of it
+ * ( background subtraction ), so presence can be judged by what's actually there rather than by how much
+ * changed since the last frame: a visitor standing still stays foreground, && sensor noise in
+ * an empty room doesn't add up to anything. works both in the browser and in node
+ *
+ * per pixel, a reading within 'tolerance' centimetres of the background slowly refines it, a reading farther away
+ * replaces it outright ( whatever was blocking the view has left ) && a nearer one is foreground. foreground
+ * that hasn't moved for 'absorbAfter' frames ( a bag left on the floor ) becomes background. pixels with no
+ * reading are never foreground && never learned
+ *
+ *		var bg = new BackgroundModel({ tolerance: 5 });
+ *		bg.addFrame( depth.data, zone.active );	// every frame, same little-endian bytes DepthFromKinect gets
+ *		if( bg.occupancy > 0.02 ) console.log( 'someone at ' + bg.nearest.toFixed(2) + 'm', bg.bbox );
+ *
+ * @class BackgroundModel
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'calibration' ( instanceof KinectCalibration, the default
+ * calibration otherwise ), 'tolerance' ( centimetres a reading can sit in front of the background before it counts as foreground,
+ * default 5 ), 'learnRate' ( 0.0 - 1.0, how fast the background
+ * follows small changes, default 0.02 ), 'warmup' ( frames spent learning before anything is foreground, default 30 ) &&
+ * 'absorbAfter' ( frames before still foreground becomes background, 0 never, default 9000 ~ 5 minutes at 30fps )
+ * @property {Number} foreground foreground pixel count of the last frame
+ * @property {Number} occupancy foreground pixels as a share of the frame ( 0.0 - 1.0 )
+ * @property {Number|null} nearest distance to the nearest foreground pixel in metres, null when there's no foreground
+ * @property {Object|null} bbox { x, y, width, height } around the foreground in pixels, null when there's no foreground
+ * @property {Uint8Array} mask 1 for every foreground pixel of the last frame, 0 elsewhere
+ */
+function BackgroundModel( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.calibration = config.calibration || new KinectCalibration();
+	this.tolerance = ( typeof config.tolerance === "number" ) ? config.tolerance : 5;
+	this.learnRate = ( typeof config.learnRate === "number" ) ? config.learnRate : 0.02;
+	this.warmup = ( typeof config.warmup === "number" ) ? config.warmup : 30;
+	this.absorbAfter = ( typeof config.absorbAfter === "number" ) ? config.absorbAfter : 9000;
+
+	this.mask = new Uint8Array( this.width * this.height );
+
+	this._background = new Float32Array( this.width * this.height ); // millimetres, 0 until a pixel's been seen
+	this._still = new Uint16Array( this.width * this.height ); // frames a pixel has been foreground in a row
+
+	this.reset();
+}
+
+/**
+ * forgets the learned background ( after the kinect or the room has moved ), the next 'warmup' frames relearn it
+ * @method reset
+ */
+BackgroundModel.prototype.reset = function() {
+
+	for (var i = 0; i < this.mask.length; i++) {
+		this._background[i] = 0;
+		this._still[i] = 0;
+		this.mask[i] = 0;
+	}
+	this.frames = 0;
+
+	this.foreground = 0;
+	this.occupancy = 0;
+	this.nearest = null;
+	this.bbox = null;
+};
+
+/**
+ * @method ready
+ * @return {Boolean} whether warmup is over && foreground is being reported
+ */
+BackgroundModel.prototype.ready = function() {
+	return this.frames >= this.warmup;
+};
+
+/**
+ * updates the background && the foreground stats with a new frame
+ * @method addFrame
+ * @param {Uint8Array} depth raw depth frame ( little-endian 16bit values, width * height * 2 bytes )
+ * @param {Uint8Array} [zone] optional mask ( see PresenceZone.active ), only pixels set to 1 count as foreground.
+ * the background is still learned everywhere, so it's ready when the zone changes
+ */
+BackgroundModel.prototype.addFrame = function( depth, zone ) {
+
+	if( depth.length !== this.width * this.height * 2 ){
+		throw new Error('BackgroundModel: expected a ' + this.width + 'x' + this.height + ' frame');
+	}
+
+	var w = this.width, h = this.height;
+	var background = this._background, still = this._still, mask = this.mask;
+	var tolerance = this.tolerance * 10, rate = this.learnRate, absorbAfter = this.absorbAfter;
+	var toMm = this.calibration.mm;
+	var learning = !this.ready();
+
+	var count = 0, nearest = Infinity;
+	var minX = w, minY = h, maxX = -1, maxY = -1;
+	var i = 0, j = 0;
+
+	for (var y = 0; y < h; y++) {
+		for (var x = 0; x < w; x++, i++, j += 2) {
+
+			mask[i] = 0;
+
+			var mm = toMm[ ( depth[j + 1] << 8 | depth[j] ) & 2047 ];
+			if( mm === 0 ) continue; // no reading
+
+			var b = background[i];
+
+			if( b === 0 || mm > b + tolerance ){ // first sight, or whatever was in the way has left
+				background[i] = mm;
+				still[i] = 0;
+			}
+			else if( learning || mm >= b - tolerance ){
+				background[i] = b + ( mm - b ) * rate;
+				still[i] = 0;
+			}
+			else if( absorbAfter > 0 && ++still[i] >= absorbAfter ){
+				background[i] = mm;
+				still[i] = 0;
+			}
+			else if( typeof zone === "undefined" || zone[i] === 1 ){
+				mask[i] = 1;
+				count++;
+				if( mm < nearest ) nearest = mm;
+				if( x < minX ) minX = x;
+				if( x > maxX ) maxX = x;
+				if( y < minY ) minY = y;
+				if( y > maxY ) maxY = y;
+			}
+		}
+	}
+
+	this.frames++;
+	this.foreground = count;
+	this.occupancy = count / ( w * h );
+	this.nearest = ( count > 0 ) ? nearest / 1000 : null;
+	this.bbox = ( count > 0 ) ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } : null;
+};
+
+/**
+ * the last frame's foreground stats as plain values, what setFrame() takes
+ * @method stats
+ * @return {Object} { frames, foreground, occupancy, nearest, bbox }
+ */
+BackgroundModel.prototype.stats = function() {
+	return { frames: this.frames, foreground: this.foreground, occupancy: this.occupancy, nearest: this.nearest, bbox: this.bbox };
+};
+
+/**
+ * takes a frame's result from another BackgroundModel of the same size ( the one in installation/depth-worker.js )
+ * @method setFrame
+ * @param {Uint8Array} mask its 'mask'
+ * @param {Object} stats its stats()
+ */
+BackgroundModel.prototype.setFrame = function( mask, stats ) {
+	this.mask.set( mask );
+	this.frames = stats.frames;
+	this.foreground = stats.foreground;
+	this.occupancy = stats.occupancy;
+	this.nearest = stats.nearest;
+	this.bbox = stats.bbox;
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = BackgroundModel;
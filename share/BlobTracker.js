@@ -0,0 +1,200 @@
+if( typeof KinectCalibration === "undefined" && typeof require === "function" ) var KinectCalibration = require('./KinectCalibration');
+
+/**
+ * splits a foreground mask ( see BackgroundModel.mask ) into connected blobs && follows them from frame to frame,
+ * so each person in front of the installation keeps the same id for as long as they're there. blobs are matched
+ * to the nearest blob of the last frame ( by centroid ), anything unmatched gets a new id && a blob that goes
+ * missing keeps its id for 'keepFor' frames in case it comes back ( someone ducking behind another visitor ).
+ * works both in the browser and in node
+ *
+ *		var tracker = new BlobTracker({ minArea: 2000 });
+ *		tracker.update( background.mask, depth.data );	// every frame, after background.addFrame()
+ *		tracker.blobs.forEach(function( b ){ console.log( b.id, b.distance.toFixed(2) + 'm', b.centroid ); });
+ *
+ * @class BlobTracker
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'calibration' ( instanceof KinectCalibration, the
+ * default calibration otherwise ), 'step' ( the mask is labelled every 'step' pixels, default 2 ), 'minArea' ( pixels a blob needs
+ * to count, default 1500 ), 'maxJump' ( pixels a centroid can move between frames && keep its id, default 80 ) && 'keepFor'
+ * ( frames a missing blob keeps its id, default 15 )
+ * @property {Array} blobs the last frame's blobs, largest first, each { id, x, y, width, height ( bounding box in pixels ),
+ * centroid ( [ x, y ] in pixels ), distance ( mean, in metres ), area ( pixels ), age ( frames it's been tracked ) }
+ * @property {Number} count how many blobs the last frame had
+ */
+function BlobTracker( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.calibration = config.calibration || new KinectCalibration();
+	this.step = ( typeof config.step === "number" ) ? Math.max( 1, Math.round( config.step ) ) : 2;
+	this.minArea = ( typeof config.minArea === "number" ) ? config.minArea : 1500;
+	this.maxJump = ( typeof config.maxJump === "number" ) ? config.maxJump : 80;
+	this.keepFor = ( typeof config.keepFor === "number" ) ? config.keepFor : 15;
+
+	this._cols = Math.ceil( this.width / this.step );
+	this._rows = Math.ceil( this.height / this.step );
+	this._cells = new Uint8Array( this._cols * this._rows );	// the mask, sampled
+	this._labels = new Int32Array( this._cols * this._rows );
+	this._stack = new Int32Array( this._cols * this._rows );
+
+	this.reset();
+}
+
+/**
+ * forgets every tracked blob, ids start over from 1
+ * @method reset
+ */
+BlobTracker.prototype.reset = function() {
+	this.blobs = [];
+	this.count = 0;
+	this._tracks = [];	// blobs that are gone but may come back, { blob, missed }
+	this._nextId = 1;
+};
+
+/**
+ * labels a new frame && matches its blobs to the last ones
+ * @method update
+ * @param {Uint8Array} mask 1 for every foreground pixel, width * height values
+ * @param {Uint8Array} depth the raw depth frame the mask came from ( little-endian 16bit values ), for each blob's distance
+ * @return {Array} the new blobs ( same as this.blobs )
+ */
+BlobTracker.prototype.update = function( mask, depth ) {
+
+	if( mask.length !== this.width * this.height || depth.length !== this.width * this.height * 2 ){
+		throw new Error('BlobTracker: expected a ' + this.width + 'x' + this.height + ' frame');
+	}
+
+	this._match( this._label( mask, depth ) );
+	this.count = this.blobs.length;
+	return this.blobs;
+};
+
+/**
+ * takes the blobs tracked by another BlobTracker ( the one in installation/depth-worker.js )
+ * @method setBlobs
+ * @param {Array} blobs its 'blobs'
+ */
+BlobTracker.prototype.setBlobs = function( blobs ) {
+	this.blobs = blobs;
+	this.count = blobs.length;
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+// flood fills the sampled mask, returns the blobs that are big enough, without ids yet
+BlobTracker.prototype._label = function( mask, depth ) {
+
+	var cols = this._cols, rows = this._rows, step = this.step, w = this.width;
+	var cells = this._cells, labels = this._labels, stack = this._stack, toMm = this.calibration.mm;
+	var found = [];
+	var i, x, y;
+
+	for (y = 0, i = 0; y < rows; y++) {
+		for (x = 0; x < cols; x++, i++) {
+			cells[i] = mask[ y * step * w + x * step ];
+			labels[i] = 0;
+		}
+	}
+
+	for (var start = 0; start < cells.length; start++) {
+
+		if( cells[start] !== 1 || labels[start] !== 0 ) continue;
+
+		var label = found.length + 1;
+		var count = 0, sumX = 0, sumY = 0, sumMm = 0, readings = 0;
+		var minX = cols, minY = rows, maxX = -1, maxY = -1;
+		var top = 0;
+
+		labels[start] = label;
+		stack[top++] = start;
+
+		while( top > 0 ){
+
+			i = stack[--top];
+			x = i % cols;
+			y = ( i - x ) / cols;
+
+			count++;
+			sumX += x;
+			sumY += y;
+			if( x < minX ) minX = x;
+			if( x > maxX ) maxX = x;
+			if( y < minY ) minY = y;
+			if( y > maxY ) maxY = y;
+
+			var p = ( y * step * w + x * step ) * 2;
+			var mm = toMm[ ( depth[p + 1] << 8 | depth[p] ) & 2047 ];
+			if( mm > 0 ){
+				sumMm += mm;
+				readings++;
+			}
+
+			// 4-connected neighbours, each pushed once
+			if( x > 0 && cells[i - 1] === 1 && labels[i - 1] === 0 ){ labels[i - 1] = label; stack[top++] = i - 1; }
+			if( x < cols - 1 && cells[i + 1] === 1 && labels[i + 1] === 0 ){ labels[i + 1] = label; stack[top++] = i + 1; }
+			if( y > 0 && cells[i - cols] === 1 && labels[i - cols] === 0 ){ labels[i - cols] = label; stack[top++] = i - cols; }
+			if( y < rows - 1 && cells[i + cols] === 1 && labels[i + cols] === 0 ){ labels[i + cols] = label; stack[top++] = i + cols; }
+		}
+
+		var area = count * step * step;
+		if( area < this.minArea ) continue;
+
+		found.push({
+			id: 0,
+			x: minX * step,
+			y: minY * step,
+			width: Math.min( this.width, ( maxX + 1 ) * step ) - minX * step,
+			height: Math.min( this.height, ( maxY + 1 ) * step ) - minY * step,
+			centroid: [ ( sumX / count + 0.5 ) * step, ( sumY / count + 0.5 ) * step ],
+			distance: ( readings > 0 ) ? sumMm / readings / 1000 : null,
+			area: area,
+			age: 0
+		});
+	}
+
+	return found;
+};
+
+// greedy nearest-centroid matching: the closest pair of old && new blobs goes first
+BlobTracker.prototype._match = function( found ) {
+
+	var tracks = this._tracks;
+	var pairs = [];
+	var i, j;
+
+	for (i = 0; i < tracks.length; i++) {
+		for (j = 0; j < found.length; j++) {
+			var a = tracks[i].blob.centroid, b = found[j].centroid;
+			var d = Math.sqrt( ( a[0] - b[0] ) * ( a[0] - b[0] ) + ( a[1] - b[1] ) * ( a[1] - b[1] ) );
+			if( d <= this.maxJump ) pairs.push({ track: i, blob: j, d: d });
+		}
+	}
+	pairs.sort(function( a, b ){ return a.d - b.d; });
+
+	var trackUsed = [], blobUsed = [];
+	for (i = 0; i < pairs.length; i++) {
+		var pair = pairs[i];
+		if( trackUsed[ pair.track ] || blobUsed[ pair.blob ] ) continue;
+		trackUsed[ pair.track ] = blobUsed[ pair.blob ] = true;
+		found[ pair.blob ].id = tracks[ pair.track ].blob.id;
+		found[ pair.blob ].age = tracks[ pair.track ].blob.age + 1;
+	}
+
+	var next = [];
+	for (j = 0; j < found.length; j++) {
+		if( !blobUsed[j] ) found[j].id = this._nextId++;
+		next.push({ blob: found[j], missed: 0 });
+	}
+	for (i = 0; i < tracks.length; i++) {
+		if( !trackUsed[i] && ++tracks[i].missed <= this.keepFor ) next.push( tracks[i] );
+	}
+
+	this._tracks = next;
+	this.blobs = found.sort(function( a, b ){ return b.area - a.area; });
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = BlobTracker;
@@ -0,0 +1,121 @@
+/**
+ * the conversions every depth frame goes through, on plain typed arrays: the kinect-daemon's little-endian bytes to raw
+ * 11bit values or millimetres, && raw values to the rgba encoding DepthFromKinect draws on its canvas ( read back in the
+ * shaders w/kinectRaw(), see KinectCalibration.GLSL ). no canvases, works in workers && in node, like the stored
+ * keyframes of a session ( base64 strings, see installation/models/session.js )
+ *
+ *		var depth = DepthCodec.fromBase64( doc.keyFrames[0].depthData );
+ *		var mm = DepthCodec.millimetres( depth, calibration );
+ *
+ * @class DepthCodec
+ * @static
+ */
+
+var DepthCodec = {
+
+	/**
+	 * @method raw
+	 * @param {Uint8Array} depth little-endian 16bit values
+	 * @param {Uint16Array} [out] reused when given, depth.length / 2 values
+	 * @return {Uint16Array} raw values, 0 - 2047 ( 2047 is no reading )
+	 */
+	raw: function( depth, out ){
+
+		out = out || new Uint16Array( depth.length / 2 );
+		for (var i = 0, j = 0; j < out.length; i += 2, j++) out[j] = ( depth[i + 1] << 8 | depth[i] ) & 2047;
+		return out;
+	},
+
+	/**
+	 * @method millimetres
+	 * @param {Uint8Array} depth little-endian 16bit values
+	 * @param {KinectCalibration} calibration
+	 * @param {Float32Array} [out] reused when given, depth.length / 2 values
+	 * @return {Float32Array} millimetres, 0 where there's no reading
+	 */
+	millimetres: function( depth, calibration, out ){
+
+		var toMm = calibration.mm;
+		out = out || new Float32Array( depth.length / 2 );
+		for (var i = 0, j = 0; j < out.length; i += 2, j++) out[j] = toMm[ ( depth[i + 1] << 8 | depth[i] ) & 2047 ];
+		return out;
+	},
+
+	/**
+	 * the canvas encoding: raw values up to 1024 fade red out w/green full, anything farther fades green in w/no red
+	 * ( green stops at 254 so it never reads as the near half, see decode() )
+	 * @method encode
+	 * @param {Uint8Array} depth little-endian 16bit values
+	 * @param {Uint8ClampedArray} pixels rgba output, 4 values per depth value
+	 */
+	encode: function( depth, pixels ){
+
+		var j = 0;
+		var val1, val2;
+
+		for (var i = 0; i < depth.length; i += 2) {
+
+			var total = depth[i+1] << 8 | depth[i];
+
+			if( total > 1024 ){
+				val1 = 0;
+				val2 = Math.min( 254, 255 - (2048-total) * 255 / 1024 );
+
+			} else {
+				val1 = 255 - total * 255 / 1024;
+				val2 = 255;
+			}
+
+			// just in case there's those weird black pxls
+			// caused by things that are too far away?
+			if( val1==0 && val2<=15 ){
+				val1 = 0;
+				val2 = 255;
+			}
+
+			pixels[j] = val1;
+			pixels[j + 1] = val2;
+			pixels[j + 2] = val2;
+			pixels[j + 3] = 255;
+
+			j += 4;
+		}
+	},
+
+	/**
+	 * back from the canvas encoding to raw values, within ~2 of what went into encode() ( anything from 1025 to ~1085
+	 * comes back as 1024, it's drawn w/full green to keep it from going black )
+	 * @method decode
+	 * @param {Uint8ClampedArray} pixels rgba, as written by encode()
+	 * @param {Uint16Array} [out] reused when given, pixels.length / 4 values
+	 * @return {Uint16Array} raw values, 0 - 2047
+	 */
+	decode: function( pixels, out ){
+
+		out = out || new Uint16Array( pixels.length / 4 );
+		for (var i = 0, j = 0; j < out.length; i += 4, j++) {
+			out[j] = ( pixels[i + 1] === 255 ) ?
+				Math.round( ( 255 - pixels[i] ) * 1024 / 255 ) :
+				Math.round( 2048 - ( 255 - pixels[i + 1] ) * 1024 / 255 );
+		}
+		return out;
+	},
+
+	/**
+	 * a frame stored as base64 ( a session's keyframes, see installation/app.js KeyFrame.capture )
+	 * @method fromBase64
+	 * @param {String} str
+	 * @return {Uint8Array} little-endian 16bit values
+	 */
+	fromBase64: function( str ){
+
+		if( typeof Buffer !== "undefined" ) return new Uint8Array( new Buffer( str, 'base64' ) );
+
+		var bstr = atob( str );
+		var arr = new Uint8Array( bstr.length );
+		for (var i = 0; i < bstr.length; i++) arr[i] = bstr.charCodeAt(i);
+		return arr;
+	}
+};
+
+if( typeof module !== "undefined" && module.exports ) module.exports = DepthCodec;
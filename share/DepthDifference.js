@@ -0,0 +1,317 @@
+if( typeof PresenceZone === "undefined" && typeof module !== "undefined" && module.exports ) var PresenceZone = require('./PresenceZone');
+if( typeof DepthCodec === "undefined" && typeof module !== "undefined" && module.exports ) var DepthCodec = require('./DepthCodec');
+
+/**
+ * frame differencing on plain typed arrays, the part of FrameDifference that doesn't need a canvas ( works in workers
+ * && in node ). each pixel of a frame is compared to the same pixel of the last one, as encoded by DepthCodec.encode() ( green
+ * << 8 | red, looked up per raw value rather than encoding the whole frame ), anything that changed by more than its
+ * threshold is motion. 'motion' is the sum of those changes
+ * normalised against 2^11 per pixel. motion can also be measured in named regions of the frame ( see setRegions ),
+ * so a hand waving in a corner can be told apart from the visitor leaning in
+ *
+ * the kinect's noise grows w/distance && around the edges of things, so every pixel has a threshold of its own:
+ * 'threshold' scaled up w/the pixel's distance, or 'noiseFactor' times the pixel's noise if that's higher. the noise is
+ * the root mean square of its changes when nothing's moving there, a running average that also catches rare big jumps
+ * ( far pixels mostly stay put && now && then jump a whole step of the encoding ). a pixel that moved only has to change
+ * by 'hysteresis' of its threshold to keep moving, so edges of the visitor don't blink on && off
+ *
+ *		var difference = new DepthDifference({ width: 640, height: 480 });
+ *		difference.setRegions( DepthDifference.grid( 4, 3 ).concat({ name: "top", rect: [ 0, 0, 1, 0.25 ] }) );
+ *		difference.addFrame( depth, zone.active );
+ *		if( difference.changed ) console.log( difference.motion, difference.regionMotion.top, difference.regionMotion.c0r0 );
+ *
+ * @class DepthDifference
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'threshold' ( 0.0 - 1.0 of 2048, default
+ * 0.05 ), 'distanceScale' ( how much more the farthest pixels need to change, default 1.0 is twice as much ), 'noiseFactor'
+ * ( default 3 ), 'noiseRate' ( how fast the noise estimate follows, default 0.05 ) && 'hysteresis' ( default 0.5 )
+ * @property {Number} motion of the last frame, repeated frames ( nothing changed at all ) keep the one before
+ * @property {Boolean} changed whether the mask changed since the last frame: it had motion, or the one before did
+ * @property {Uint8Array} mask 1 for every pixel that moved in the last frame, width * height values
+ * @property {Uint8Array} confidence how clearly each pixel in 'mask' moved, 0 right at its threshold up to 255 at twice
+ * that or more, 0 for pixels that didn't move
+ * @property {Number} noise mean noise of the pixels that count ( in encoded values, see 'zone' in addFrame ), for tuning
+ * @property {Object} regionMotion region name -> its motion, normalised against 2^11 per pixel of the region ( so small
+ * regions aren't drowned out by big ones ), kept through repeated frames like 'motion'
+ */
+function DepthDifference( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.threshold = ( typeof config.threshold === "number" ) ? config.threshold : 0.05;
+	this.distanceScale = ( typeof config.distanceScale === "number" ) ? config.distanceScale : 1.0;
+	this.noiseFactor = ( typeof config.noiseFactor === "number" ) ? config.noiseFactor : 3;
+	this.noiseRate = ( typeof config.noiseRate === "number" ) ? config.noiseRate : 0.05;
+	this.hysteresis = ( typeof config.hysteresis === "number" ) ? config.hysteresis : 0.5;
+
+	this.mask = new Uint8Array( this.width * this.height );
+	this.confidence = new Uint8Array( this.width * this.height );
+	this._variance = new Float32Array( this.width * this.height ); // mean squared change of each pixel, its noise squared
+	this._last = new Uint16Array( this.width * this.height ); // encoded values of the last frame
+	this._change = new Uint16Array( this.width * this.height ); // how much each pixel in 'mask' changed by
+	this._regions = [];
+
+	this.reset();
+}
+
+/**
+ * sum of per pixel changes ( in raw units ) as a motion value, 1.0 would be every pixel changing by 2048
+ * @method metric
+ * @static
+ * @param {Number} total
+ * @param {Number} width
+ * @param {Number} height
+ * @return {Number}
+ */
+DepthDifference.metric = function( total, width, height ) {
+	return total / ( 2048 * width * height );
+};
+
+/**
+ * a grid of rect regions covering the whole frame, named "c" + column + "r" + row ( "c0r0" is the top left )
+ * @method grid
+ * @static
+ * @param {Number} columns
+ * @param {Number} rows
+ * @return {Array} regions for setRegions()
+ */
+DepthDifference.grid = function( columns, rows ) {
+	var regions = [];
+	for (var r = 0; r < rows; r++) {
+		for (var c = 0; c < columns; c++) {
+			regions.push({ name: "c" + c + "r" + r, rect: [ c / columns, r / rows, 1 / columns, 1 / rows ] });
+		}
+	}
+	return regions;
+};
+
+/**
+ * forgets the last frame && the noise estimate, the next frame is only compared to those after it
+ * @method reset
+ */
+DepthDifference.prototype.reset = function() {
+	this.motion = 0;
+	this.noise = 0;
+	this.changed = false;
+	this._first = true;
+	this._moved = false; // whether the last frame had motion
+	this.regionMotion = {};
+	for (var i = 0; i < this.mask.length; i++) {
+		this.mask[i] = 0;
+		this.confidence[i] = 0;
+		this._variance[i] = 0;
+	}
+	for (var r = 0; r < this._regions.length; r++) this.regionMotion[ this._regions[r].name ] = 0;
+};
+
+/**
+ * @method setRegions
+ * @param {Array} regions each { name, rect: [ x, y, width, height ] } or { name, polygon: [ [x, y], ... ] } in image
+ * coordinates ( 0.0 - 1.0 across && down the frame ), they can overlap. polygons need PresenceZone.js
+ */
+DepthDifference.prototype.setRegions = function( regions ) {
+
+	var w = this.width, h = this.height;
+	this._regions = [];
+	this.regionMotion = {};
+
+	for (var r = 0; r < ( regions || [] ).length; r++) {
+
+		var spec = regions[r];
+		var x0, y0, x1, y1;
+
+		if( spec.rect instanceof Array && spec.rect.length === 4 ){
+			x0 = spec.rect[0];
+			y0 = spec.rect[1];
+			x1 = spec.rect[0] + spec.rect[2];
+			y1 = spec.rect[1] + spec.rect[3];
+		} else if( spec.polygon instanceof Array && spec.polygon.length >= 3 ){
+			x0 = y0 = 1;
+			x1 = y1 = 0;
+			for (var p = 0; p < spec.polygon.length; p++) {
+				x0 = Math.min( x0, spec.polygon[p][0] );
+				y0 = Math.min( y0, spec.polygon[p][1] );
+				x1 = Math.max( x1, spec.polygon[p][0] );
+				y1 = Math.max( y1, spec.polygon[p][1] );
+			}
+		} else {
+			throw new Error('DepthDifference: region "' + spec.name + '" needs a rect: [x, y, width, height] or a polygon of 3 or more points');
+		}
+
+		var region = {
+			name: spec.name,
+			x0: Math.max( 0, Math.round( x0 * w ) ),
+			y0: Math.max( 0, Math.round( y0 * h ) ),
+			x1: Math.min( w, Math.round( x1 * w ) ),
+			y1: Math.min( h, Math.round( y1 * h ) ),
+			inside: null, // polygons only, 1 for every pixel of the bounding box inside the polygon
+			area: 0
+		};
+
+		var bw = Math.max( 0, region.x1 - region.x0 ), bh = Math.max( 0, region.y1 - region.y0 );
+		if( spec.rect ){
+			region.area = bw * bh;
+		} else {
+			region.inside = new Uint8Array( bw * bh );
+			for (var y = 0, i = 0; y < bh; y++) {
+				for (var x = 0; x < bw; x++, i++) {
+					if( PresenceZone.contains( spec.polygon, ( region.x0 + x + 0.5 ) / w, ( region.y0 + y + 0.5 ) / h ) ){
+						region.inside[i] = 1;
+						region.area++;
+					}
+				}
+			}
+		}
+
+		this._regions.push( region );
+		this.regionMotion[ region.name ] = 0;
+	}
+};
+
+/**
+ * @method addFrame
+ * @param {Uint8Array} depth little-endian 16bit values, like the kinect-daemon sends them
+ * @param {Uint8Array} [zone] one value per pixel ( see PresenceZone.active ), only pixels set to 1 count as motion
+ * @return {Number} this.motion
+ */
+DepthDifference.prototype.addFrame = function( depth, zone ) {
+
+	if( depth.length !== this.width * this.height * 2 ){
+		throw new Error('DepthDifference: expected a ' + this.width + 'x' + this.height + ' frame');
+	}
+
+	var encoded = DepthDifference._encoding();
+
+	// frames are sometimes repeated, those keep the last motion value
+	if( !this._first && this._repeated( depth, encoded ) ){
+		this.changed = false;
+		return this.motion;
+	}
+
+	var last = this._last, mask = this.mask, change = this._change, confidence = this.confidence, variance = this._variance;
+	var base = this.threshold * 2048, scale = this.distanceScale, factor = this.noiseFactor;
+	var rate = this.noiseRate, keep = this.hysteresis;
+	var total = 0, noise = 0, counted = 0;
+
+	for (var p = 0, i = 0; p < mask.length; p++, i += 2) {
+
+		var raw = ( depth[i + 1] << 8 | depth[i] ) & 2047;
+		var value = encoded[ raw ];
+		var diff = ( value > last[p] ) ? value - last[p] : last[p] - value;
+		last[p] = value;
+
+		var far = raw / 2048;
+		var rms = Math.sqrt( variance[p] );
+		var threshold = Math.max( base * ( 1 + scale * far * far ), factor * rms );
+		if( mask[p] === 1 ) threshold *= keep;
+
+		var counts = !zone || zone[p] === 1;
+		if( counts ){
+			noise += rms;
+			counted++;
+		}
+
+		if( !this._first && diff > threshold && counts ){
+			mask[p] = 1;
+			change[p] = diff;
+			confidence[p] = Math.min( 255, ( diff / threshold - 1 ) * 255 );
+			total += diff;
+		} else {
+			mask[p] = 0;
+			change[p] = 0;
+			confidence[p] = 0;
+		}
+
+		// big jumps only count up to four times the threshold && moving pixels learn slower, so the visitor doesn't become
+		// noise, but pixels that never settle ( edges ) still end up w/thresholds above their flicker
+		if( !this._first ){
+			var d = Math.min( diff, threshold * 4 );
+			variance[p] += ( d * d - variance[p] ) * ( ( mask[p] === 1 ) ? rate * 0.25 : rate );
+		}
+	}
+
+	this._first = false;
+	this.noise = ( counted > 0 ) ? noise / counted : 0;
+
+	// a frame w/no motion is drawn once more, to clear the one before
+	var moved = total > 0;
+	this.changed = moved || this._moved;
+	this._moved = moved;
+
+	this.motion = DepthDifference.metric( total, this.width, this.height );
+	for (var r = 0; r < this._regions.length; r++) {
+		if( moved ) this._measure( this._regions[r] );
+		else this.regionMotion[ this._regions[r].name ] = 0;
+	}
+
+	return this.motion;
+};
+
+/**
+ * draws the last frame's mask, white where it changed && black everywhere else
+ * @method draw
+ * @param {Uint8ClampedArray} pixels rgba output, width * height * 4 values
+ */
+DepthDifference.prototype.draw = function( pixels ) {
+
+	var mask = this.mask;
+
+	for (var p = 0, i = 0; p < mask.length; p++, i += 4) {
+		var v = ( mask[p] === 1 ) ? 255 : 0;
+		pixels[i] = v;
+		pixels[i + 1] = v;
+		pixels[i + 2] = v;
+		pixels[i + 3] = 255;
+	}
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+// green << 8 | red of DepthCodec.encode() for every raw value, made the first time it's needed
+DepthDifference._encoding = function() {
+
+	if( typeof DepthDifference._encoded === "undefined" ){
+		if( typeof DepthCodec === "undefined" ) throw new Error('DepthDifference: requires DepthCodec.js');
+		var depth = new Uint8Array( 2048 * 2 );
+		var pixels = new Uint8ClampedArray( 2048 * 4 );
+		for (var raw = 0; raw < 2048; raw++) {
+			depth[raw * 2] = raw & 255;
+			depth[raw * 2 + 1] = raw >> 8;
+		}
+		DepthCodec.encode( depth, pixels );
+		DepthDifference._encoded = new Uint16Array( 2048 );
+		for (var v = 0; v < 2048; v++) DepthDifference._encoded[v] = pixels[v * 4 + 1] << 8 | pixels[v * 4];
+	}
+	return DepthDifference._encoded;
+};
+
+// whether depth is the same frame as the last one
+DepthDifference.prototype._repeated = function( depth, encoded ) {
+
+	var last = this._last;
+
+	for (var p = 0, i = 0; p < last.length; p++, i += 2) {
+		if( encoded[ ( depth[i + 1] << 8 | depth[i] ) & 2047 ] !== last[p] ) return false;
+	}
+	return true;
+};
+
+DepthDifference.prototype._measure = function( region ) {
+
+	var change = this._change, inside = region.inside, w = this.width;
+	var total = 0;
+
+	for (var y = region.y0, i = 0; y < region.y1; y++) {
+		for (var p = y * w + region.x0, end = y * w + region.x1; p < end; p++, i++) {
+			if( inside === null || inside[i] === 1 ) total += change[p];
+		}
+	}
+
+	this.regionMotion[ region.name ] = ( region.area > 0 ) ? DepthDifference.metric( total, region.area, 1 ) : 0;
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = DepthDifference;
@@ -0,0 +1,194 @@
+if( typeof KinectCalibration === "undefined" && typeof require === "function" ) var KinectCalibration = require('./KinectCalibration');
+
+/**
+ * cleans up raw kinect frames before anything else sees them, in three optional stages:
+ * hole filling ( pixels with no reading take the value of their farthest neighbour, a ring per pass, since most
+ * kinect holes are the IR shadow beside a nearer object && belong to whatever's behind it ), an edge-preserving
+ * spatial filter ( each pixel becomes the average of the neighbours within 'spatialEdge' of it, so surfaces get
+ * smoother without blurring people into the wall ) && a temporal filter ( an exponential moving average per pixel
+ * that follows anything moving more than 'temporalMotion' right away && only smooths what holds still ).
+ * works both in the browser and in node
+ *
+ *		var filter = new DepthFilter({ temporal: false });
+ *		frame.depth = filter.filter( frame.depth );
+ *
+ * @class DepthFilter
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'calibration' ( instanceof KinectCalibration,
+ * the default calibration otherwise ) plus anything set() takes
+ */
+function DepthFilter( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.calibration = config.calibration || new KinectCalibration();
+
+	var n = this.width * this.height;
+	this._mm = new Float32Array( n );
+	this._tmp = new Float32Array( n );
+	this._prev = new Float32Array( n ); // temporal filter state, 0 where there's nothing to follow yet
+	this._out = new Uint8Array( n * 2 );
+
+	this.set( config );
+}
+
+/**
+ * @method set
+ * @param {Object} config any of 'holeFill' ( default true ), 'holePasses' ( how many pixels deep holes get filled, default 4 ),
+ * 'spatial' ( default true ), 'spatialRadius' ( pixels, default 1 ), 'spatialEdge' ( cm, default 5 ), 'temporal' ( default true ),
+ * 'temporalAlpha' ( 0.0 - 1.0, how much of a new frame a still pixel takes, default 0.3 ) && 'temporalMotion' ( cm, default 10 )
+ */
+DepthFilter.prototype.set = function( config ) {
+
+	config = config || {};
+
+	this.holeFill = ( typeof config.holeFill === "boolean" ) ? config.holeFill : true;
+	this.holePasses = ( typeof config.holePasses === "number" ) ? config.holePasses : 4;
+	this.spatial = ( typeof config.spatial === "boolean" ) ? config.spatial : true;
+	this.spatialRadius = ( typeof config.spatialRadius === "number" ) ? config.spatialRadius : 1;
+	this.spatialEdge = ( typeof config.spatialEdge === "number" ) ? config.spatialEdge : 5;
+	this.temporal = ( typeof config.temporal === "boolean" ) ? config.temporal : true;
+	this.temporalAlpha = ( typeof config.temporalAlpha === "number" ) ? config.temporalAlpha : 0.3;
+	this.temporalMotion = ( typeof config.temporalMotion === "number" ) ? config.temporalMotion : 10;
+
+	if( !this.temporal ) this.reset();
+};
+
+/**
+ * forgets the temporal filter's history ( after a jump in the stream, like switching devices )
+ * @method reset
+ */
+DepthFilter.prototype.reset = function() {
+	for (var i = 0; i < this._prev.length; i++) this._prev[i] = 0;
+};
+
+/**
+ * @method filter
+ * @param {Uint8Array} depth raw depth frame ( little-endian 16bit values, width * height * 2 bytes )
+ * @return {Uint8Array} the filtered frame in the same format ( reused by the next call, copy it to keep it ),
+ * or depth itself when every stage is off
+ */
+DepthFilter.prototype.filter = function( depth ) {
+
+	if( !this.holeFill && !this.spatial && !this.temporal ) return depth;
+
+	if( depth.length !== this.width * this.height * 2 ){
+		throw new Error('DepthFilter: expected a ' + this.width + 'x' + this.height + ' frame');
+	}
+
+	var mm = this._mm, out = this._out, cal = this.calibration;
+	var i, j;
+
+	for (i = 0, j = 0; i < mm.length; i++, j += 2) mm[i] = cal.mm[ ( depth[j + 1] << 8 | depth[j] ) & 2047 ];
+
+	if( this.holeFill ) this._fillHoles( mm );
+	if( this.spatial ) this._smooth( mm );
+	if( this.temporal ) this._blend( mm );
+
+	for (i = 0, j = 0; i < mm.length; i++, j += 2) {
+		var raw = ( mm[i] > 0 ) ? cal.mmToRaw( mm[i] ) : 2047;
+		out[j] = raw & 255;
+		out[j + 1] = raw >> 8;
+	}
+
+	return out;
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+DepthFilter.prototype._fillHoles = function( mm ) {
+
+	var w = this.width, h = this.height;
+	var src = this._tmp;
+
+	for (var pass = 0; pass < this.holePasses; pass++) {
+
+		src.set( mm ); // read the last pass, so every hole shrinks by one ring per pass
+		var filled = 0;
+
+		for (var y = 0, i = 0; y < h; y++) {
+			for (var x = 0; x < w; x++, i++) {
+
+				if( src[i] !== 0 ) continue;
+
+				var v = 0;
+				if( x > 0 && src[i - 1] > v ) v = src[i - 1];
+				if( x < w - 1 && src[i + 1] > v ) v = src[i + 1];
+				if( y > 0 && src[i - w] > v ) v = src[i - w];
+				if( y < h - 1 && src[i + w] > v ) v = src[i + w];
+
+				if( v > 0 ){
+					mm[i] = v;
+					filled++;
+				}
+			}
+		}
+
+		if( filled === 0 ) break;
+	}
+};
+
+DepthFilter.prototype._smooth = function( mm ) {
+
+	var w = this.width, h = this.height;
+	var r = Math.max( 0, Math.round( this.spatialRadius ) );
+	var edge = this.spatialEdge * 10;
+	var dst = this._tmp;
+
+	for (var y = 0, i = 0; y < h; y++) {
+
+		var y0 = Math.max( 0, y - r ), y1 = Math.min( h - 1, y + r );
+
+		for (var x = 0; x < w; x++, i++) {
+
+			var c = mm[i];
+			dst[i] = c;
+			if( c === 0 ) continue;
+
+			var x0 = Math.max( 0, x - r ), x1 = Math.min( w - 1, x + r );
+			var sum = 0, count = 0;
+
+			for (var ny = y0; ny <= y1; ny++) {
+				for (var k = ny * w + x0, end = ny * w + x1; k <= end; k++) {
+					var v = mm[k];
+					if( v !== 0 && v - c <= edge && c - v <= edge ){
+						sum += v;
+						count++;
+					}
+				}
+			}
+
+			dst[i] = sum / count; // count >= 1, c itself is always in range
+		}
+	}
+
+	mm.set( dst );
+};
+
+DepthFilter.prototype._blend = function( mm ) {
+
+	var prev = this._prev;
+	var alpha = this.temporalAlpha, motion = this.temporalMotion * 10;
+
+	for (var i = 0; i < mm.length; i++) {
+
+		var c = mm[i], p = prev[i];
+
+		if( c === 0 || p === 0 ){ // nothing to blend with
+			prev[i] = c;
+			continue;
+		}
+
+		// still pixels keep most of their history, moving ones ( or new surfaces ) take the new value
+		var d = ( c > p ) ? c - p : p - c;
+		var k = ( motion > 0 ) ? alpha + ( 1 - alpha ) * Math.min( 1, d / motion ) : 1;
+
+		mm[i] = prev[i] = p + ( c - p ) * k;
+	}
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = DepthFilter;
@@ -0,0 +1,82 @@
+/**
+ * header carried in front of every depth frame the kinect-daemon sends on 'kinect-depth', so clients
+ * can tell dropped, duplicated and delayed frames apart. works both in the browser and in node
+ * ( the daemon requires this same file ).
+ *
+ * layout ( 20 bytes, little-endian ) followed by the raw depth payload:
+ *		0	4	uint32 sequence number ( counts up by one per captured frame )
+ *		4	8	float64 capture timestamp ( ms since epoch )
+ *		12	2	uint16 device id
+ *		14	2	uint16 frame width
+ *		16	2	uint16 frame height
+ *		18	2	uint16 frames the daemon skipped on purpose since the previous message ( client asked for a lower fps )
+ *
+ * @class DepthFrame
+ * @static
+ */
+
+var DepthFrame = {
+
+	HEADER_SIZE: 20,
+
+	/**
+	 * prepends a header to a raw depth buffer ( node only )
+	 * @method pack
+	 * @param {Object} meta 'seq', 'timestamp', 'device', 'width', 'height' and optional 'skipped'
+	 * @param {Buffer} depth raw depth payload
+	 * @return {Buffer}
+	 */
+	pack: function( meta, depth ){
+
+		var header = new Buffer( DepthFrame.HEADER_SIZE );
+		header.fill(0);
+		header.writeUInt32LE( meta.seq >>> 0, 0 );
+		header.writeDoubleLE( meta.timestamp, 4 );
+		header.writeUInt16LE( meta.device || 0, 12 );
+		header.writeUInt16LE( meta.width, 14 );
+		header.writeUInt16LE( meta.height, 16 );
+		header.writeUInt16LE( Math.min( meta.skipped || 0, 0xffff ), 18 );
+
+		return Buffer.concat([ header, depth ]);
+	},
+
+	/**
+	 * splits a message into its header fields and depth payload
+	 * @method unpack
+	 * @param {ArrayBuffer|Buffer} data message as received from the socket
+	 * @return {Object} { seq, timestamp, device, width, height, skipped, depth } where depth is a Uint8ClampedArray
+	 * ( Buffer in node ) of little-endian 16bit values
+	 */
+	unpack: function( data ){
+
+		var size = DepthFrame.HEADER_SIZE;
+
+		if( typeof data.readUInt32LE === "function" ){ // node Buffer
+			return {
+				seq: data.readUInt32LE( 0 ),
+				timestamp: data.readDoubleLE( 4 ),
+				device: data.readUInt16LE( 12 ),
+				width: data.readUInt16LE( 14 ),
+				height: data.readUInt16LE( 16 ),
+				skipped: data.readUInt16LE( 18 ),
+				depth: data.slice( size )
+			};
+		}
+
+		var buffer = ( data instanceof ArrayBuffer ) ? data : data.buffer;
+		var offset = ( data instanceof ArrayBuffer ) ? 0 : data.byteOffset;
+		var view = new DataView( buffer, offset, size );
+
+		return {
+			seq: view.getUint32( 0, true ),
+			timestamp: view.getFloat64( 4, true ),
+			device: view.getUint16( 12, true ),
+			width: view.getUint16( 14, true ),
+			height: view.getUint16( 16, true ),
+			skipped: view.getUint16( 18, true ),
+			depth: new Uint8ClampedArray( buffer, offset + size, data.byteLength - size )
+		};
+	}
+};
+
+if( typeof module !== "undefined" && module.exports ) module.exports = DepthFrame;
@@ -1,17 +1,30 @@
 /**
- * generates a three.js mesh from depth data ( Uint8Array ), presumably from a Kinect or the like
+ * generates a three.js mesh from depth data ( Uint8Array ), presumably from a Kinect or the like. this is the canvas
+ * side, the encoding itself is DepthCodec's ( see DepthCodec.js, which has to be loaded first )
  * @class DepthFromKinect
  * @constructor
  * @param {Number} [width] optional canvas width ( default 640 like Kinect )
  * @param {Number} [height] optional canvas height ( default 480 like Kinect )
  * @param {Uint8Array} [initDepth] optional initial depth data ( to use before first update runs )
+ * @property {Boolean} raw when true frames only update 'data' && the canvas is left alone until drawCanvas() is called, for when
+ * the depth goes to the GPU as it is ( see MeshFromDepth 'depthData' ) && the canvas is only looked at now && then ( default false )
+ * @property {Object} stats stream health measured from the DepthFrame headers passed to readFrame(): 'latency' ( ms, smoothed ),
+ * 'dropRate' ( 0.0 - 1.0 over the last second ), 'received', 'dropped' and 'duplicates' ( counts since the stream started )
  */
 
 function DepthFromKinect( width, height, initDepth ){
 
 	if(typeof BB === 'undefined') throw new Error('MeshFromDepth: requires the liBB library');
+	if(typeof DepthCodec === 'undefined') throw new Error('DepthFromKinect: requires DepthCodec.js');
 
 	this.data = null; // set on first update
+	this.raw = false;
+
+	// stream health ( see readFrame ) ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.
+	this.stats = { latency: 0, dropRate: 0, received: 0, dropped: 0, duplicates: 0 };
+	this._lastSeq = -1;
+	this._lastDevice = -1;
+	this._window = { start: 0, received: 0, dropped: 0 };
 
 	if( typeof width === "undefined" ){
 		this.width = 640;
@@ -38,6 +51,8 @@ function DepthFromKinect( width, height, initDepth ){
 	// for cross-fading / tweening ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.
 	this.prevCanvasData = null;
 	this.newCanvasData = ( typeof initDepth !== "undefined" ) ? initDepth : null;
+	this.prevPixels = null; // both ends of the fade, w/DepthCodec.encode()
+	this.newPixels = null;
 	this.fadeCnt = 0;
 	this.steps = 30;
 	if(typeof initDepth !== "undefined") this.crossFadeCanvasData( initDepth );
@@ -47,51 +62,104 @@ function DepthFromKinect( width, height, initDepth ){
 
 
 /**
- * updates internal canvas data via depth data being sent from kinect ( or similar device )
+ * updates internal canvas data via depth data being sent from kinect ( or similar device ), encoded w/DepthCodec.encode()
+ * so that shaders can read it back w/kinectRaw(), see KinectCalibration.GLSL
  * @method updateCanvasData
  * @param {Array} depth Uint8Array containing 16bit values ( integers, 0 - 2048 )
  */
 DepthFromKinect.prototype.updateCanvasData = function( depth ) {
 
 	this.data = depth;
+	if( !this.raw ) this.drawCanvas();
 	
-	var data = this.imageData.data;
-	var j = 0;
-	var val1, val2;
-
-	for (var i = 0; i < depth.length; i += 2) {
-
-		var total = depth[i+1] << 8 | depth[i]; // YEA!!! IT WORX :D BITSHIFTER!!!
-
-		if( total > 1024 ){
-			val1 = 0; 
-			val2 = BB.MathUtils.map( (2048-total), 0, 1024, 255, 0);
-		
-		} else {
-			val1 = BB.MathUtils.map( total, 0, 1024, 255, 0);
-			val2 = 255;
-		} 
-
-		// just in case there's those weird black pxls
-		// caused by things that are too far away?
-		if( val1==0 && val2<=15 ){
-			val1 = 0;
-			val2 = 255;
-		}
+};
 
-		data[j] = val1;
-		data[j + 1] = val2;
-		data[j + 2] = val2;
-		data[j + 3] = 255;
 
-		j += 4;
-	}
+/**
+ * draws the latest depth data on the canvas, only needed when 'raw' is true ( updateCanvasData does it otherwise )
+ * @method drawCanvas
+ */
+DepthFromKinect.prototype.drawCanvas = function() {
+
+	if( this.data === null ) return;
+	DepthCodec.encode( this.data, this.imageData.data );
+	this.ctx.putImageData(this.imageData, 0, 0);
+	
+};
+
 
+/**
+ * same as updateCanvasData, for depth that's already been encoded elsewhere ( like installation/depth-worker.js )
+ * @method setCanvasData
+ * @param {Array} depth Uint8Array containing 16bit values ( integers, 0 - 2048 )
+ * @param {Uint8ClampedArray} pixels depth encoded by DepthCodec.encode()
+ */
+DepthFromKinect.prototype.setCanvasData = function( depth, pixels ) {
+
+	this.data = depth;
+	this.imageData.data.set( pixels );
 	this.ctx.putImageData(this.imageData, 0, 0);
 	
 };
 
 
+/**
+ * reads a 'kinect-depth' message ( DepthFrame header + depth ), updates stats && canvas data
+ * @method readFrame
+ * @param {ArrayBuffer} data message as received from the kinect-daemon
+ * @return {Object} the unpacked DepthFrame
+ */
+DepthFromKinect.prototype.readFrame = function( data ) {
+
+	if(typeof DepthFrame === 'undefined') throw new Error('DepthFromKinect: readFrame requires DepthFrame.js');
+
+	return this.updateFrame( DepthFrame.unpack( data ) );
+};
+
+
+/**
+ * updates stats && canvas data from an unpacked frame, as produced by DepthFrame.unpack() or any DepthSource
+ * @method updateFrame
+ * @param {Object} frame { seq, timestamp, device, width, height, skipped, depth }, plus 'pixels' when the
+ * depth's already been encoded ( see setCanvasData )
+ * @return {Object} the frame
+ */
+DepthFromKinect.prototype.updateFrame = function( frame ) {
+
+	var stats = this.stats;
+	var now = Date.now();
+
+	if( this._lastSeq !== -1 && frame.seq === this._lastSeq ){
+		stats.duplicates++;
+		return frame; // nothing new to draw
+	}
+
+	// daemon restarted ( sequence starts over ) or switched devices, don't count that as a jump
+	if( this._lastSeq === -1 || frame.seq < this._lastSeq || frame.device !== this._lastDevice ){
+		this._lastSeq = frame.seq - 1;
+		this._lastDevice = frame.device;
+	}
+
+	var missed = Math.max( 0, frame.seq - this._lastSeq - 1 - frame.skipped );
+	this._lastSeq = frame.seq;
+
+	stats.received++;
+	stats.dropped += missed;
+	stats.latency += ( (now - frame.timestamp) - stats.latency ) * 0.1;
+
+	this._window.received++;
+	this._window.dropped += missed;
+	if( now - this._window.start >= 1000 ){
+		stats.dropRate = this._window.dropped / ( this._window.received + this._window.dropped );
+		this._window = { start: now, received: 0, dropped: 0 };
+	}
+
+	if( frame.pixels ) this.setCanvasData( frame.depth, frame.pixels );
+	else this.updateCanvasData( frame.depth );
+	return frame;
+};
+
+
 /**
  * fades new canvas image from older canvas image ( via depth data being sent from kinect or similar device ) 
  * @method crossFadeCanvasData
@@ -117,43 +185,19 @@ DepthFromKinect.prototype.crossFadeCanvasData = function( depth, duration ) {
 		if( this.fadeCnt === 0 ) {
 			this.prevCanvasData = this.newCanvasData;
 			this.newCanvasData = depth;
+			this.encodeFade();
 		}
 
 	    var data = this.imageData.data;
-		var j = 0;
-		var prev1, prev2, new1, new2;
+		var prev = this.prevPixels, next = this.newPixels;
 		var newFade = this.fadeCnt / this.steps;
 		var prevFade = (1 - this.fadeCnt / this.steps);
 
-		for (var i = 0; i < this.prevCanvasData.length; i += 2) {
-
-			var prevTotal = this.prevCanvasData[i+1] << 8 | this.prevCanvasData[i];
-			if( prevTotal > 1024 ){
-				prev1 = 0; 
-				prev2 = BB.MathUtils.map( (2048-prevTotal), 0, 1024, 255, 0);
-			
-			} else {
-				prev1 = BB.MathUtils.map( prevTotal, 0, 1024, 255, 0);
-				prev2 = 255;
-			}
-
-			var newTotal = this.newCanvasData[i+1] << 8 | this.newCanvasData[i];
-			if( newTotal > 1024 ){
-				new1 = 0; 
-				new2 = BB.MathUtils.map( (2048-newTotal), 0, 1024, 255, 0);
-			
-			} else {
-				new1 = BB.MathUtils.map( newTotal, 0, 1024, 255, 0);
-				new2 = 255;
-			}
-
-
-			data[j] 	= (prev1*prevFade) + (new1*newFade);
-			data[j + 1] = (prev2*prevFade) + (new2*newFade);
-			data[j + 2] = (prev2*prevFade) + (new2*newFade);
+		for (var j = 0; j < prev.length; j += 4) {
+			data[j] 	= (prev[j]*prevFade) + (next[j]*newFade);
+			data[j + 1] = (prev[j + 1]*prevFade) + (next[j + 1]*newFade);
+			data[j + 2] = (prev[j + 2]*prevFade) + (next[j + 2]*newFade);
 			data[j + 3] = 255;
-
-			j += 4;
 		}
 
 		this.ctx.putImageData(this.imageData, 0, 0);
@@ -200,55 +244,29 @@ DepthFromKinect.prototype.wipeFadeCanvasData = function( depth, duration ) {
 		if( this.fadeCnt === 0 ) {
 			this.prevCanvasData = this.newCanvasData;
 			this.newCanvasData = depth;
+			this.encodeFade();
 		}
 
 	    var data = this.imageData.data;
-		var j = 0;
-		var prev1, prev2, new1, new2;
+		var prev = this.prevPixels, next = this.newPixels;
 		var newFade = this.fadeCnt / this.steps;
 		var prevFade = (1 - this.fadeCnt / this.steps);
 
+		for (var j = 0; j < prev.length; j += 4) {
 
-		for (var i = 0; i < this.prevCanvasData.length; i += 2) {
+			if( j/prev.length > prevFade ){
 
-			var prevTotal = this.prevCanvasData[i+1] << 8 | this.prevCanvasData[i];
-			if( prevTotal > 1024 ){
-				prev1 = 0; 
-				prev2 = BB.MathUtils.map( (2048-prevTotal), 0, 1024, 255, 0);
-			
-			} else {
-				prev1 = BB.MathUtils.map( prevTotal, 0, 1024, 255, 0);
-				prev2 = 255;
-			}
+				data[j] 	= (prev[j]*prevFade) + (next[j]*newFade);
+				data[j + 1] = (prev[j + 1]*prevFade) + (next[j + 1]*newFade);
+				data[j + 2] = (prev[j + 2]*prevFade) + (next[j + 2]*newFade);
 
-			var newTotal = this.newCanvasData[i+1] << 8 | this.newCanvasData[i];
-			if( newTotal > 1024 ){
-				new1 = 0; 
-				new2 = BB.MathUtils.map( (2048-newTotal), 0, 1024, 255, 0);
-			
 			} else {
-				new1 = BB.MathUtils.map( newTotal, 0, 1024, 255, 0);
-				new2 = 255;
-			}				
-
 
-
-			if( i/this.prevCanvasData.length > prevFade ){
-
-				data[j] 	= (prev1*prevFade) + (new1*newFade);
-				data[j + 1] = (prev2*prevFade) + (new2*newFade);
-				data[j + 2] = (prev2*prevFade) + (new2*newFade);
-				data[j + 3] = 255;
-
-			} else {
-				
-				data[j] 	= (prev1*prevFade) + (prev1*newFade);
-				data[j + 1] = (prev2*prevFade) + (prev2*newFade);
-				data[j + 2] = (prev2*prevFade) + (prev2*newFade);
-				data[j + 3] = 255;
+				data[j] 	= prev[j];
+				data[j + 1] = prev[j + 1];
+				data[j + 2] = prev[j + 2];
 			}
-
-			j += 4;
+			data[j + 3] = 255;
 		}
 
 		this.ctx.putImageData(this.imageData, 0, 0);
@@ -266,4 +284,41 @@ DepthFromKinect.prototype.wipeFadeCanvasData = function( depth, duration ) {
 
 	}
 
-};
\ No newline at end of file
+};
+
+
+/**
+ * encodes both ends of a fade ( prevCanvasData && newCanvasData ) once as it starts, the fade steps only blend them
+ * @method encodeFade
+ */
+DepthFromKinect.prototype.encodeFade = function() {
+
+	var size = this.newCanvasData.length * 2;
+	if( this.newPixels === null || this.newPixels.length !== size ){
+		this.prevPixels = new Uint8ClampedArray( size );
+		this.newPixels = new Uint8ClampedArray( size );
+	}
+	DepthCodec.encode( this.prevCanvasData, this.prevPixels );
+	DepthCodec.encode( this.newCanvasData, this.newPixels );
+
+};
+
+
+/**
+ * socket.io url to subscribe to a device on the kinect-daemon ( devices are numbered from 0 in the order
+ * the daemon found them, "combined" is every device merged from one view, see kinect-daemon/devices.json )
+ * @method channel
+ * @static
+ * @param {Number|String} [device] device id or "combined" ( default 0 )
+ * @param {String} [host] daemon address ( default "http://localhost:8008" )
+ * @return {String}
+ */
+DepthFromKinect.channel = function( device, host ) {
+
+	host = host || 'http://localhost:8008';
+
+	if( typeof device === "undefined" || device === 0 ) return host; // default namespace
+	else if( device === "combined" ) return host + '/combined';
+	else if( typeof device === "number" ) return host + '/device/' + device;
+	else throw new Error('DepthFromKinect: channel: expecting a device id or "combined"');
+};
@@ -0,0 +1,488 @@
+if( typeof KinectCalibration === "undefined" && typeof module !== "undefined" && module.exports ) var KinectCalibration = require('./KinectCalibration');
+
+/**
+ * a source of depth frames. adapters turn whatever a sensor ( or file, or generator ) produces into one
+ * common frame, so DepthFromKinect, MeshFromDepth, FrameDifference && the session model don't care
+ * where the depth came from:
+ *
+ *		{ seq, timestamp, device, width, height, skipped, depth }
+ *
+ * same fields as DepthFrame.unpack(), where 'depth' is a Uint8Array of little-endian uint16 Kinect v1 raw
+ * ( 11-bit disparity ) values at the source's target resolution ( 640x480 unless configured otherwise ).
+ * sensors that measure millimetres are converted with DepthSource.mmToRaw(). works both in the browser
+ * and in node
+ *
+ *		var source = new KinectSocketSource({ socket: io.connect( DepthFromKinect.channel( 0 ), { query: 'ack=1' } ) });
+ *		source.onFrame(function( frame, done ){
+ *			depth.updateFrame( frame ); // DepthFromKinect
+ *			done(); // ready for the next one
+ *		});
+ *		source.start();
+ *
+ * @class DepthSource
+ * @constructor
+ * @param {Object} [config] optional target 'width' && 'height' ( default 640x480 ) and 'device' id ( default 0 )
+ */
+function DepthSource( config ){
+
+	config = config || {};
+
+	this.width = ( typeof config.width === "number" ) ? config.width : 640;
+	this.height = ( typeof config.height === "number" ) ? config.height : 480;
+	this.device = ( typeof config.device === "number" ) ? config.device : 0;
+
+	this.running = false;
+	this.seq = 0;
+	this._callbacks = [];
+}
+
+/**
+ * @method onFrame
+ * @param {Function} callback called with ( frame, done ), call done() once finished with the frame
+ */
+DepthSource.prototype.onFrame = function( callback ) {
+	this._callbacks.push( callback );
+};
+
+/**
+ * @method start
+ */
+DepthSource.prototype.start = function() {
+	this.running = true;
+};
+
+/**
+ * @method stop
+ */
+DepthSource.prototype.stop = function() {
+	this.running = false;
+};
+
+// hands a frame to every callback, resampling it to the target size first. 'values' is a Uint16Array
+// of raw values ( or a Uint8Array of little-endian bytes ), done() is called once every callback is finished
+DepthSource.prototype._emit = function( meta, values, done ) {
+
+	if( !this.running ){
+		if( typeof done === "function" ) done();
+		return;
+	}
+
+	// little-endian bytes ( as sent by the daemon ) pass straight through unless they need resizing
+	var bytes = ( values instanceof Uint8Array || ( typeof Uint8ClampedArray !== "undefined" && values instanceof Uint8ClampedArray ) );
+
+	if( meta.width !== this.width || meta.height !== this.height ){
+		values = DepthSource.resample( bytes ? DepthSource.toUint16( values ) : values, meta.width, meta.height, this.width, this.height );
+		bytes = false;
+	}
+
+	var frame = {
+		seq: ( typeof meta.seq === "number" ) ? meta.seq : ++this.seq,
+		timestamp: ( typeof meta.timestamp === "number" ) ? meta.timestamp : Date.now(),
+		device: ( typeof meta.device === "number" ) ? meta.device : this.device,
+		width: this.width,
+		height: this.height,
+		skipped: meta.skipped || 0,
+		depth: ( bytes ) ? values : new Uint8Array( values.buffer, values.byteOffset, values.length * 2 )
+	};
+	if( typeof meta.truth !== "undefined" ) frame.truth = meta.truth; // what's really in a synthetic frame
+	this.seq = frame.seq;
+
+	if( this._callbacks.length === 0 ){
+		if( typeof done === "function" ) done();
+		return;
+	}
+
+	var pending = this._callbacks.length;
+	function finished(){
+		if( --pending === 0 && typeof done === "function" ) done();
+	}
+
+	for (var i = 0; i < this._callbacks.length; i++) this._callbacks[i]( frame, finished );
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. helpers ~`~._.~`~._.~`~._.~`~._.~`~.
+
+DepthSource.NO_READING = 2047;
+
+// millimetres -> raw, KinectCalibration.mmToRaw() of the default calibration for every millimetre
+DepthSource._mmLUT = null;
+
+/**
+ * converts a distance to the Kinect v1 raw value that reads as that distance
+ * @method mmToRaw
+ * @static
+ * @param {Number} mm distance in millimetres ( 0 = no reading )
+ * @return {Number} raw value 0 - 2047
+ */
+DepthSource.mmToRaw = function( mm ) {
+
+	if( DepthSource._mmLUT === null ){
+		if( typeof KinectCalibration === "undefined" ) throw new Error('DepthSource: requires KinectCalibration.js');
+		var calibration = new KinectCalibration();
+		var lut = new Uint16Array( 65536 );
+		for (var i = 0; i < 65536; i++) lut[i] = calibration.mmToRaw( i );
+		DepthSource._mmLUT = lut;
+	}
+
+	return DepthSource._mmLUT[ Math.max( 0, Math.min( 65535, Math.round( mm ) ) ) ];
+};
+
+/**
+ * @method toUint16
+ * @static
+ * @param {Uint8Array} bytes little-endian uint16 values
+ * @return {Uint16Array}
+ */
+DepthSource.toUint16 = function( bytes ) {
+
+	var out = new Uint16Array( bytes.length >> 1 );
+	for (var i = 0, j = 0; i < out.length; i++, j += 2) out[i] = bytes[j + 1] << 8 | bytes[j];
+	return out;
+};
+
+/**
+ * nearest neighbour resize ( raw values are never blended with the no-reading holes around them )
+ * @method resample
+ * @static
+ * @param {Uint16Array} values
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} outWidth
+ * @param {Number} outHeight
+ * @return {Uint16Array}
+ */
+DepthSource.resample = function( values, width, height, outWidth, outHeight ) {
+
+	var out = new Uint16Array( outWidth * outHeight );
+	var o = 0;
+
+	for (var y = 0; y < outHeight; y++) {
+		var row = Math.min( height - 1, Math.floor( y * height / outHeight ) ) * width;
+		for (var x = 0; x < outWidth; x++) {
+			out[o++] = values[ row + Math.min( width - 1, Math.floor( x * width / outWidth ) ) ];
+		}
+	}
+
+	return out;
+};
+
+
+// ------------
+// ---------------------- ------ -- KinectSocketSource
+// ------------ ----
+// ---- ( 'kinect-depth' from the kinect-daemon, or anything speaking its protocol like replay.js )
+
+/**
+ * @class KinectSocketSource
+ * @extends DepthSource
+ * @constructor
+ * @param {Object} config requires a socket.io 'socket' connected to a kinect-daemon channel ( w/ack=1 in its query, frames are acknowledged ), plus DepthSource's options
+ */
+function KinectSocketSource( config ){
+
+	DepthSource.call( this, config );
+
+	if( typeof config.socket === "undefined" ) throw new Error('KinectSocketSource: expecting a socket.io socket');
+	if( typeof DepthFrame === "undefined" ) throw new Error('KinectSocketSource: requires DepthFrame.js');
+
+	var self = this;
+	this.socket = config.socket;
+
+	this.socket.on('kinect-depth', function( data, ack ){
+		var frame = DepthFrame.unpack( data );
+		self._emit( frame, frame.depth, function(){
+			if( typeof ack === "function" ) ack(); // see kinect-daemon/broadcaster.js
+		});
+	});
+}
+
+KinectSocketSource.prototype = Object.create( DepthSource.prototype );
+KinectSocketSource.prototype.constructor = KinectSocketSource;
+
+
+// ------------
+// ---------------------- ------ -- RecordingSource
+// ------------ ----
+// ---- ( plays back a .kdr recording at its original frame rate, see kinect-daemon/recording.js )
+
+/**
+ * @class RecordingSource
+ * @extends DepthSource
+ * @constructor
+ * @param {Object} config either a 'url' to load the recording from or its 'data' ( ArrayBuffer or Buffer ),
+ * optional 'loop' ( default true ) && 'speed' ( default 1.0 ), plus DepthSource's options
+ */
+function RecordingSource( config ){
+
+	DepthSource.call( this, config );
+
+	this.loop = ( typeof config.loop === "boolean" ) ? config.loop : true;
+	this.speed = ( config.speed > 0 ) ? config.speed : 1.0;
+	this.frames = null; // indexed once loaded
+	this.frame = 0;
+	this._timer = null;
+
+	if( typeof config.data !== "undefined" ) this._load( config.data );
+	else if( typeof config.url === "string" ) this._fetch( config.url );
+	else throw new Error('RecordingSource: expecting either a url or data');
+}
+
+RecordingSource.prototype = Object.create( DepthSource.prototype );
+RecordingSource.prototype.constructor = RecordingSource;
+
+RecordingSource.prototype._fetch = function( url ) {
+	var self = this;
+	var req = new XMLHttpRequest();
+	req.open("GET", url, true);
+	req.responseType = "arraybuffer";
+	req.addEventListener("load", function() {
+		self._load( req.response );
+	});
+	req.send(null);
+};
+
+RecordingSource.prototype._load = function( data ) {
+
+	// a copy, io.js Buffers ( NW.js' fs.readFileSync ) aren't views on an ArrayBuffer
+	var buffer = ( data instanceof ArrayBuffer ) ? data : new Uint8Array( data ).buffer;
+	var view = new DataView( buffer );
+
+	var magic = String.fromCharCode( view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3) );
+	if( magic !== "KDRC" ) throw new Error('RecordingSource: not a depth recording');
+
+	this.recordedWidth = view.getUint16( 6, true );
+	this.recordedHeight = view.getUint16( 8, true );
+	this.recordedDevice = view.getUint16( 10, true );
+	this.frames = [];
+
+	var offset = 16;
+	while( offset + 16 <= buffer.byteLength ){
+		var length = view.getUint32( offset + 12, true );
+		if( offset + 16 + length > buffer.byteLength ) break; // truncated last frame
+		this.frames.push({
+			seq: view.getUint32( offset, true ),
+			timestamp: view.getFloat64( offset + 4, true ),
+			depth: new Uint8Array( buffer, offset + 16, length )
+		});
+		offset += 16 + length;
+	}
+
+	if( this.running ) this._tick();
+};
+
+RecordingSource.prototype.start = function() {
+	DepthSource.prototype.start.call( this );
+	if( this.frames !== null && this._timer === null ) this._tick();
+};
+
+RecordingSource.prototype.stop = function() {
+	DepthSource.prototype.stop.call( this );
+	clearTimeout( this._timer );
+	this._timer = null;
+};
+
+RecordingSource.prototype._tick = function() {
+
+	var self = this;
+	this._timer = null;
+	if( !this.running || this.frames.length === 0 ) return;
+
+	if( this.frame >= this.frames.length ){
+		if( !this.loop ) return this.stop();
+		this.frame = 0;
+	}
+
+	var f = this.frames[ this.frame ];
+	var next = this.frames[ this.frame + 1 ];
+	var wait = ( next ) ? ( next.timestamp - f.timestamp ) / this.speed : 33;
+	var sentAt = Date.now();
+	this.frame++;
+
+	// re-stamped so latency reads as it would live
+	this._emit({
+		timestamp: sentAt,
+		device: this.recordedDevice,
+		width: this.recordedWidth,
+		height: this.recordedHeight
+	}, f.depth, function(){
+		if( self.running && self._timer === null ){
+			self._timer = setTimeout( function(){ self._tick(); }, Math.max( 0, wait - ( Date.now() - sentAt ) ) );
+		}
+	});
+};
+
+
+// ------------
+// ---------------------- ------ -- SyntheticSource
+// ------------ ----
+// ---- ( frames from a generator function, for tests && demos without hardware )
+
+/**
+ * @class SyntheticSource
+ * @extends DepthSource
+ * @constructor
+ * @param {Object} [config] optional 'fps' ( default 30 ) && 'generate', a function( time, width, height ) returning a Uint16Array
+ * of raw values ( time in ms since start ) or { depth, truth } like SyntheticDepth.generator(), where truth is passed along
+ * as frame.truth. defaults to a wall with a disc drifting across it, plus DepthSource's options
+ */
+function SyntheticSource( config ){
+
+	config = config || {};
+	DepthSource.call( this, config );
+
+	this.fps = ( config.fps > 0 ) ? config.fps : 30;
+	this.generate = ( typeof config.generate === "function" ) ? config.generate : SyntheticSource.drift;
+	this._timer = null;
+	this._busy = false;
+	this._startedAt = 0;
+}
+
+SyntheticSource.prototype = Object.create( DepthSource.prototype );
+SyntheticSource.prototype.constructor = SyntheticSource;
+
+SyntheticSource.prototype.start = function() {
+	var self = this;
+	DepthSource.prototype.start.call( this );
+	if( this._timer !== null ) return;
+	this._startedAt = Date.now();
+	this._timer = setInterval( function(){ self._tick(); }, 1000 / this.fps );
+};
+
+SyntheticSource.prototype.stop = function() {
+	DepthSource.prototype.stop.call( this );
+	clearInterval( this._timer );
+	this._timer = null;
+};
+
+SyntheticSource.prototype._tick = function() {
+
+	if( this._busy ) return; // consumer still on the last frame, skip this one
+	var self = this;
+	var out = this.generate( Date.now() - this._startedAt, this.width, this.height );
+	var meta = { width: this.width, height: this.height };
+	if( typeof out.depth !== "undefined" ) meta.truth = out.truth;
+
+	this._busy = true;
+	this._emit( meta, ( typeof out.depth !== "undefined" ) ? out.depth : out, function(){ self._busy = false; });
+};
+
+/**
+ * default generator, a wall 3m away with a disc at 1.5m drifting back && forth in front of it
+ * @method drift
+ * @static
+ */
+SyntheticSource.drift = function( time, width, height ) {
+
+	var out = new Uint16Array( width * height );
+	var wall = DepthSource.mmToRaw( 3000 );
+	var disc = DepthSource.mmToRaw( 1500 );
+	var cx = width * ( 0.5 + 0.3 * Math.sin( time / 2000 ) );
+	var cy = height * 0.5;
+	var r2 = Math.pow( height * 0.2, 2 );
+
+	for (var y = 0, i = 0; y < height; y++) {
+		for (var x = 0; x < width; x++, i++) {
+			out[i] = ( (x - cx) * (x - cx) + (y - cy) * (y - cy) < r2 ) ? disc : wall;
+		}
+	}
+
+	return out;
+};
+
+
+// ------------
+// ---------------------- ------ -- WebSocketSource
+// ------------ ----
+// ---- ( binary websocket feed of 16-bit millimetre depth, for newer depth cameras )
+
+/**
+ * every binary message is one frame of 'sourceWidth' x 'sourceHeight' little-endian uint16 distances,
+ * optionally after a 4 byte header carrying the frame's own uint16 width && height ( 'header': true )
+ * @class WebSocketSource
+ * @extends DepthSource
+ * @constructor
+ * @param {Object} config requires the feed's 'url', 'sourceWidth' && 'sourceHeight' ( unless 'header' is true ), optional
+ * 'scale' ( millimetres per unit, default 1 ), 'WebSocket' ( constructor to use outside the browser ), plus DepthSource's options
+ */
+function WebSocketSource( config ){
+
+	DepthSource.call( this, config );
+
+	if( typeof config.url !== "string" ) throw new Error('WebSocketSource: expecting a url');
+	if( !config.header && !( config.sourceWidth > 0 && config.sourceHeight > 0 ) ){
+		throw new Error('WebSocketSource: expecting sourceWidth && sourceHeight ( or header: true )');
+	}
+
+	this.url = config.url;
+	this.header = ( config.header === true );
+	this.sourceWidth = config.sourceWidth;
+	this.sourceHeight = config.sourceHeight;
+	this.scale = ( config.scale > 0 ) ? config.scale : 1;
+	this.WebSocket = config.WebSocket || ( ( typeof WebSocket !== "undefined" ) ? WebSocket : null );
+	if( this.WebSocket === null ) throw new Error('WebSocketSource: no WebSocket implementation, pass one as config.WebSocket');
+
+	this.ws = null;
+	this._busy = false;
+}
+
+WebSocketSource.prototype = Object.create( DepthSource.prototype );
+WebSocketSource.prototype.constructor = WebSocketSource;
+
+WebSocketSource.prototype.start = function() {
+
+	var self = this;
+	DepthSource.prototype.start.call( this );
+	if( this.ws !== null ) return;
+
+	this.ws = new this.WebSocket( this.url );
+	this.ws.binaryType = "arraybuffer";
+	this.ws.onmessage = function( e ){ self._read( e.data ); };
+	this.ws.onclose = function(){
+		self.ws = null;
+		if( self.running ) setTimeout( function(){ self.start(); }, 1000 ); // keep trying while started
+	};
+};
+
+WebSocketSource.prototype.stop = function() {
+	DepthSource.prototype.stop.call( this );
+	if( this.ws !== null ) this.ws.close();
+};
+
+WebSocketSource.prototype._read = function( data ) {
+
+	if( this._busy || !( data instanceof ArrayBuffer ) ) return; // drop frames while the consumer is busy
+	var self = this;
+	var view = new DataView( data );
+	var offset = 0, w = this.sourceWidth, h = this.sourceHeight;
+
+	if( this.header ){
+		w = view.getUint16( 0, true );
+		h = view.getUint16( 2, true );
+		offset = 4;
+	}
+
+	if( data.byteLength - offset !== w * h * 2 ){
+		console.warn('WebSocketSource: expected ' + ( w * h * 2 ) + ' bytes of depth, got ' + ( data.byteLength - offset ));
+		return;
+	}
+
+	var values = new Uint16Array( w * h );
+	for (var i = 0; i < values.length; i++) {
+		values[i] = DepthSource.mmToRaw( view.getUint16( offset + i * 2, true ) * this.scale );
+	}
+
+	this._busy = true;
+	this._emit({ width: w, height: h }, values, function(){ self._busy = false; });
+};
+
+
+if( typeof module !== "undefined" && module.exports ){
+	module.exports = {
+		DepthSource: DepthSource,
+		KinectSocketSource: KinectSocketSource,
+		RecordingSource: RecordingSource,
+		SyntheticSource: SyntheticSource,
+		WebSocketSource: WebSocketSource
+	};
+}
@@ -1,82 +1,60 @@
+// draws a DepthDifference ( see DepthDifference.js, which has to be loaded first ) on a canvas, for the shaders
+// ( as a texture ) && the keyframes ( as a png ). the canvas is only redrawn when the mask changed ( see DepthDifference.changed )
 function FrameDifference(width, height) {
 
+	if(typeof DepthDifference === 'undefined') throw new Error('FrameDifference: requires DepthDifference.js');
+
 	this.width = width;
 	this.height = height;
 	this.threshold = 0.05; // normalized float representing percent
 	this.motion = 0;
+	this.changed = false; // whether the last frame redrew the canvas
+	this.regionMotion = {}; // region name -> motion, see DepthDifference.setRegions
+	this.confidence = new Uint8Array(width * height); // how clearly each pixel of the mask moved, see DepthDifference.confidence
+	this.noise = 0; // mean noise of the pixels that count, see DepthDifference.noise
+	this.difference = new DepthDifference({ width: width, height: height, threshold: this.threshold });
+
 	this.canvas = document.createElement('canvas');
 	this.canvas.width = width;
 	this.canvas.height = height;
 	this._context = this.canvas.getContext('2d');
-	this._prevFrame = null;
-	this._frame = null; // assigned the value of an ImageData.data
 	this._imageData = this._context.createImageData(width, height);
 }
 
-// pixels MUST be an instance of ImageData.data (not just any old Uint8ClampedArray).
-// For some reason ImageData.data seems to be optimized for use here.
-FrameDifference.prototype.addFrame = function(pixels) {
-
-  var total = 0;
-  if(pixels.length > 0) { // don't forget this!
-    if(!this._prevFrame) {
-      this._prevFrame = copyImage(pixels, this._prevFrame);
-      this._frame = pixels;
-    } else {
-      var w = this.width, h = this.height;
-      var i = 0;
-    
-      var thresholdAmount = (this.threshold * 100) * 2048.0 / 100.0;
-      for(var y = 0; y < h; y++) {
-        for(var x = 0; x < w; x++) {
-      	  
-      	  // bitshift 8-bit values and read as one 16-bit value (that stores an 11-bit number)
-      	  // get the abs difference of that value compared to its last state
-          var diff = Math.abs(
-          	(pixels[i+1] << 8 | pixels[i])-(this._prevFrame[i+1] << 8 | this._prevFrame[i])
-          );
-
-          // assign these pixels to the previous frame
-          this._prevFrame[i] = pixels[i];
-          this._prevFrame[i + 1] = pixels[i + 1];
-          this._prevFrame[i + 2] = pixels[i + 2];
-          
-          var output = 0;
-         
-          if(diff > thresholdAmount) {
-            output = 255;
-            total += diff;
-          }
-          
-          pixels[i++] = output;
-          pixels[i++] = output;
-          pixels[i++] = output;
-          i++; // skip alpha
-        }
-      }
-    }
-  }
-  // need this because sometimes the frames are repeated
-  if(total > 0) {
-  	  this.motion = BB.MathUtils.map(total, 0, 629145600 /* <-- 2^11*640*480  */, 0.0, 1.0);
-      this._imageData.data.set(this._frame);
-      this._context.putImageData(this._imageData, 0, 0);
-  }
+// regions to measure motion in on top of the whole frame, see DepthDifference.setRegions
+FrameDifference.prototype.setRegions = function(regions) {
+	this.difference.setRegions(regions);
+	this.regionMotion = this.difference.regionMotion;
+};
 
-	// copy an array, creating a new array if necessary
-	// usage: dst = copyImage(src, dst)
-	// taken from Kyle McDonald's P5.js cv-examples repo
-	// based on http://jsperf.com/new-array-vs-splice-vs-slice/113
-	function copyImage(src, dst) {
-	  var n = src.length;
-	  if(!dst || dst.length != n) {
-	    dst = new src.constructor(n);
-	  }
-	  while(n--) {
-	    dst[n] = src[n];
-	  }
-	  return dst;
+// draws a difference made elsewhere ( pixels as drawn by DepthDifference.draw, null when the mask didn't change,
+// regionMotion, confidence && noise are optional, the DepthDifference's, confidence only along w/pixels )
+FrameDifference.prototype.setFrame = function(pixels, motion, regionMotion, confidence, noise) {
+	this.changed = pixels !== null;
+	this.motion = motion;
+	if(regionMotion) this.regionMotion = regionMotion;
+	if(typeof noise === 'number') this.noise = noise;
+	if(confidence) this.confidence.set(confidence);
+	if(pixels !== null) {
+		this._imageData.data.set(pixels);
+		this._context.putImageData(this._imageData, 0, 0);
 	}
-}
+};
+
+// depth is a frame of little-endian 16bit values ( like DepthFromKinect's data )
+// zone is optional, one value per pixel ( see PresenceZone.active ): only pixels set to 1 count as motion
+FrameDifference.prototype.addFrame = function(depth, zone) {
 
+	this.difference.threshold = this.threshold;
+	this.difference.addFrame(depth, zone);
 
+	this.changed = this.difference.changed;
+	this.motion = this.difference.motion;
+	this.regionMotion = this.difference.regionMotion;
+	this.noise = this.difference.noise;
+	if(this.changed) {
+		this.confidence.set(this.difference.confidence);
+		this.difference.draw(this._imageData.data);
+		this._context.putImageData(this._imageData, 0, 0);
+	}
+};
@@ -0,0 +1,171 @@
+/**
+ * turns a visitor's landmarks ( see LandmarkDetector ) into deliberate gestures: "wave" ( a raised hand swinging side to side ),
+ * "handsUp" ( both hands raised && held there ) && "stepBackForth" ( a step away from the kinect && back again ). each gesture
+ * fires once && then rests for 'cooldown' milliseconds, so a visitor who keeps waving doesn't trigger it every frame.
+ * works both in the browser and in node
+ *
+ *		var gestures = new GestureRecognizer();
+ *		gestures.onGesture(function( name ){ console.log( name ); });
+ *		gestures.update( landmarks, Date.now() );	// every frame, after landmarks.update()
+ *
+ * @class GestureRecognizer
+ * @constructor
+ * @param {Object} [config] optional 'waveWidth' ( centimetres a hand has to swing each way, default 10 ), 'waveSwings'
+ * ( changes of direction that make a wave, default 3 ) && 'waveTime' ( milliseconds they have to happen in, default 2000 ),
+ * 'holdTime' ( milliseconds both hands have to stay up, default 1000 ), 'stepDistance' ( centimetres back && forth, default 25 )
+ * && 'stepTime' ( milliseconds for both, default 3000 ) && 'cooldown' ( milliseconds, default 3000 )
+ */
+function GestureRecognizer( config ){
+
+	config = config || {};
+
+	this.waveWidth = ( typeof config.waveWidth === "number" ) ? config.waveWidth : 10;
+	this.waveSwings = ( typeof config.waveSwings === "number" ) ? config.waveSwings : 3;
+	this.waveTime = ( typeof config.waveTime === "number" ) ? config.waveTime : 2000;
+	this.holdTime = ( typeof config.holdTime === "number" ) ? config.holdTime : 1000;
+	this.stepDistance = ( typeof config.stepDistance === "number" ) ? config.stepDistance : 25;
+	this.stepTime = ( typeof config.stepTime === "number" ) ? config.stepTime : 3000;
+	this.cooldown = ( typeof config.cooldown === "number" ) ? config.cooldown : 3000;
+
+	this._callbacks = [];
+	this._fired = {}; // gesture name -> when it last fired
+
+	this.reset();
+}
+
+/**
+ * the gestures GestureRecognizer knows
+ * @property GESTURES
+ * @type Array
+ * @static
+ */
+GestureRecognizer.GESTURES = [ "wave", "handsUp", "stepBackForth" ];
+
+/**
+ * forgets any half made gesture ( cooldowns still apply )
+ * @method reset
+ */
+GestureRecognizer.prototype.reset = function() {
+	this._hands = [ this._hand(), this._hand() ];
+	this._upSince = null;	// when both hands went up, null while they aren't
+	this._upFired = false;	// hands have to come down before handsUp fires again
+	this._steps = [];		// recent torso distances, { time, mm }
+};
+
+/**
+ * @method onGesture
+ * @param {Function} callback called with the gesture's name && the landmarks it was made with
+ */
+GestureRecognizer.prototype.onGesture = function( callback ) {
+	this._callbacks.push( callback );
+};
+
+/**
+ * @method update
+ * @param {LandmarkDetector} landmarks the visitor's landmarks this frame
+ * @param {Number} time milliseconds, any clock as long as it's always the same one
+ * @return {Array} names of the gestures that fired this frame
+ */
+GestureRecognizer.prototype.update = function( landmarks, time ) {
+
+	var fired = [];
+
+	if( landmarks.torso === null ){
+		this.reset();
+		return fired;
+	}
+
+	// wave, either hand
+	var hands = [ landmarks.leftHand, landmarks.rightHand ];
+	for (var h = 0; h < 2; h++) {
+		if( this._wave( this._hands[h], hands[h], time ) ) fired.push("wave");
+	}
+
+	// hands up
+	var up = hands[0] !== null && hands[0].raised && hands[1] !== null && hands[1].raised;
+	if( !up ){
+		this._upSince = null;
+		this._upFired = false;
+	} else {
+		if( this._upSince === null ) this._upSince = time;
+		if( !this._upFired && time - this._upSince >= this.holdTime ){
+			this._upFired = true;
+			fired.push("handsUp");
+		}
+	}
+
+	// step back && forth: the torso got 'stepDistance' farther than it was && then came back by as much, all within 'stepTime'
+	var steps = this._steps, d = this.stepDistance * 10;
+	steps.push({ time: time, mm: landmarks.torso.point[2] });
+	while( steps.length > 0 && time - steps[0].time > this.stepTime ) steps.shift();
+
+	var nearest = Infinity, back = -1;
+	for (var i = 0; i < steps.length; i++) {
+		if( steps[i].mm < nearest ) nearest = steps[i].mm;
+		else if( steps[i].mm - nearest >= d && ( back === -1 || steps[i].mm > steps[back].mm ) ) back = i;
+	}
+	if( back !== -1 && steps[back].mm - steps[ steps.length - 1 ].mm >= d ){
+		this._steps = [];
+		fired.push("stepBackForth");
+	}
+
+	// cooldowns
+	var self = this;
+	fired = fired.filter(function( name, index ){
+		if( fired.indexOf( name ) !== index ) return false;
+		if( typeof self._fired[ name ] === "number" && time - self._fired[ name ] < self.cooldown ) return false;
+		self._fired[ name ] = time;
+		return true;
+	});
+
+	for (var f = 0; f < fired.length; f++) {
+		for (var c = 0; c < this._callbacks.length; c++) this._callbacks[c]( fired[f], landmarks );
+	}
+
+	return fired;
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+GestureRecognizer.prototype._hand = function() {
+	return { extreme: null, direction: 0, swings: [] };
+};
+
+// follows one hand side to side while it's raised, a swing is a change of direction after moving 'waveWidth' one way
+GestureRecognizer.prototype._wave = function( state, hand, time ) {
+
+	if( hand === null || !hand.raised ){
+		state.extreme = null;
+		state.direction = 0;
+		state.swings = [];
+		return false;
+	}
+
+	var x = hand.point[0], w = this.waveWidth * 10;
+
+	if( state.extreme === null ) state.extreme = x;
+	else if( state.direction === 0 ){
+		if( Math.abs( x - state.extreme ) >= w ){
+			state.direction = ( x > state.extreme ) ? 1 : -1;
+			state.extreme = x;
+		}
+	}
+	else if( ( x - state.extreme ) * state.direction > 0 ) state.extreme = x; // still going the same way
+	else if( Math.abs( x - state.extreme ) >= w ){
+		state.direction = -state.direction;
+		state.extreme = x;
+		state.swings.push( time );
+	}
+
+	while( state.swings.length > 0 && time - state.swings[0] > this.waveTime ) state.swings.shift();
+
+	if( state.swings.length >= this.waveSwings ){
+		state.swings = [];
+		return true;
+	}
+	return false;
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = GestureRecognizer;
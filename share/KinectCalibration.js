@@ -0,0 +1,160 @@
+/**
+ * turns Kinect v1 raw 11-bit values into real distances && depth pixels into 3D points. a raw value is a
+ * disparity, its distance is 1 / ( raw * disparity[0] + disparity[1] ) metres, && a pixel (x,y) at distance z
+ * sits at ( (x - cx) / fx * z, (y - cy) / fy * z, z ). defaults are the published Kinect v1 calibration by
+ * Nicolas Burrus ( http://burrus.name/index.php/Research/KinectCalibration ), close but not exact for any
+ * one device, so measured values can be set per device in kinect-daemon/devices.json. points are in
+ * millimetres, x to the right, y down the image && z away from the kinect. works both in the browser and in node
+ *
+ *		var cal = new KinectCalibration();
+ *		var mm = cal.rawToMm( 600 );				// ~ 670mm
+ *		var p = cal.pixelToPoint( 320, 240, mm );	// [ x, y, z ]
+ *
+ * @class KinectCalibration
+ * @constructor
+ * @param {Object} [params] optional 'width' && 'height' the intrinsics are scaled to ( default 640x480 ), 'disparity'
+ * ( [ a, b ] ), 'depth' && 'rgb' intrinsics ( { fx, fy, cx, cy } at 640x480 ) && 'tx' ( rgb camera offset in metres )
+ */
+function KinectCalibration( params ){
+
+	this.mm = new Float32Array( 2048 ); // raw -> millimetres, 0 where there's no reading
+	this.set( params );
+}
+
+KinectCalibration.DEFAULTS = {
+	disparity: [ -0.0030711016, 3.3309495161 ],
+	depth: { fx: 594.21, fy: 591.04, cx: 339.31, cy: 242.74 },
+	rgb: { fx: 529.22, fy: 525.56, cx: 328.94, cy: 267.48 },
+	tx: 0.019985
+};
+
+/**
+ * @method set
+ * @param {Object} [params] same as the constructor's, anything left out goes back to its default
+ */
+KinectCalibration.prototype.set = function( params ) {
+
+	params = params || {};
+
+	var D = KinectCalibration.DEFAULTS;
+
+	this.width = params.width || 640;
+	this.height = params.height || 480;
+	this.disparity = params.disparity || D.disparity;
+	this.depth = params.depth || D.depth;
+	this.rgb = params.rgb || D.rgb;
+	this.tx = ( typeof params.tx === "number" ) ? params.tx : D.tx;
+
+	var sx = this.width / 640, sy = this.height / 480;
+	this.fx = this.depth.fx * sx;
+	this.fy = this.depth.fy * sy;
+	this.cx = this.depth.cx * sx;
+	this.cy = this.depth.cy * sy;
+
+	for (var raw = 0; raw < 2048; raw++) {
+		var m = raw * this.disparity[0] + this.disparity[1];
+		this.mm[ raw ] = ( raw > 0 && raw < 2047 && m > 0 ) ? 1000.0 / m : 0;
+	}
+};
+
+/**
+ * @method params
+ * @return {Object} the calibration as plain values, what the constructor && set() take ( sent to clients by the kinect-daemon )
+ */
+KinectCalibration.prototype.params = function() {
+	return {
+		width: this.width, height: this.height,
+		disparity: this.disparity, depth: this.depth, rgb: this.rgb, tx: this.tx
+	};
+};
+
+/**
+ * @method rawToMm
+ * @param {Number} raw kinect value ( 0 - 2047 )
+ * @return {Number} distance in millimetres, 0 when there's no reading
+ */
+KinectCalibration.prototype.rawToMm = function( raw ) {
+	return this.mm[ raw & 2047 ];
+};
+
+/**
+ * @method mmToRaw
+ * @param {Number} mm distance in millimetres
+ * @return {Number} nearest raw kinect value, 2047 ( no reading ) when it's out of the kinect's range
+ */
+KinectCalibration.prototype.mmToRaw = function( mm ) {
+	if( !( mm > 0 ) ) return 2047;
+	var raw = Math.round( ( 1000.0 / mm - this.disparity[1] ) / this.disparity[0] );
+	return ( raw > 0 && raw < 2047 ) ? raw : 2047;
+};
+
+/**
+ * @method pixelToPoint
+ * @param {Number} x depth pixel column
+ * @param {Number} y depth pixel row
+ * @param {Number} mm distance at that pixel in millimetres
+ * @return {Array} [ x, y, z ] in millimetres
+ */
+KinectCalibration.prototype.pixelToPoint = function( x, y, mm ) {
+	return [ ( x - this.cx ) / this.fx * mm, ( y - this.cy ) / this.fy * mm, mm ];
+};
+
+/**
+ * @method pointToPixel
+ * @param {Array} p [ x, y, z ] in millimetres, z > 0
+ * @return {Array} [ x, y ] depth pixel ( not rounded, may be outside the frame )
+ */
+KinectCalibration.prototype.pointToPixel = function( p ) {
+	return [ this.fx * p[0] / p[2] + this.cx, this.fy * p[1] / p[2] + this.cy ];
+};
+
+/**
+ * values for the uniforms KinectCalibration.GLSL declares
+ * @method uniforms
+ * @return {Object} { kinectDisparity: [ a, b ], kinectIntrinsics: [ fx, fy, cx, cy ] } with the intrinsics in uv units
+ */
+KinectCalibration.prototype.uniforms = function() {
+	return {
+		kinectDisparity: [ this.disparity[0], this.disparity[1] ],
+		kinectIntrinsics: [ this.fx / this.width, this.fy / this.height, this.cx / this.width, this.cy / this.height ]
+	};
+};
+
+/**
+ * shader chunk with the same conversions for a depth texture ( MeshFromDepth prepends it to every vertex shader && keeps
+ * the uniforms in sync ). the texture is either DepthFromKinect's canvas or, when KINECT_RAW_DEPTH is defined, the raw
+ * 16bit values w/the low byte in luminance && the high byte in alpha ( see MeshFromDepth 'depthData' ):
+ * 		float kinectRaw( vec4 texel )			raw value from a texel of the depth texture, 0 - 2047
+ * 		float kinectMm( float raw )				distance in millimetres ( very far when there's no reading )
+ * 		vec3 kinectPoint( vec2 uv, float mm )	3D point in millimetres, y down the image like pixelToPoint()
+ * @property GLSL
+ * @type String
+ * @static
+ */
+KinectCalibration.GLSL = [
+	"uniform vec2 kinectDisparity;",
+	"uniform vec4 kinectIntrinsics;",
+	"",
+	"float kinectRaw( vec4 texel ){",
+	"#ifdef KINECT_RAW_DEPTH",
+	"	return mod( floor( texel.a * 255.0 + 0.5 ) * 256.0 + floor( texel.r * 255.0 + 0.5 ), 2048.0 );",
+	"#else",
+	"	// DepthCodec.decode(): full green is the near half, read from red, anything else the far half, read from green",
+	"	return ( texel.g > 254.5 / 255.0 ) ? ( 1.0 - texel.r ) * 1024.0 : 2048.0 - ( 1.0 - texel.g ) * 1024.0;",
+	"#endif",
+	"}",
+	"",
+	"float kinectMm( float raw ){",
+	"	float m = raw * kinectDisparity.x + kinectDisparity.y;",
+	"	return ( m > 0.0 ) ? 1000.0 / m : 100000.0;",
+	"}",
+	"",
+	"vec3 kinectPoint( vec2 uv, float mm ){",
+	"	return vec3( ( uv.x - kinectIntrinsics.z ) / kinectIntrinsics.x * mm,",
+	"				 ( 1.0 - uv.y - kinectIntrinsics.w ) / kinectIntrinsics.y * mm, mm );",
+	"}",
+	""
+].join("\n");
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = KinectCalibration;
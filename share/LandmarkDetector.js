@@ -0,0 +1,235 @@
+if( typeof KinectCalibration === "undefined" && typeof require === "function" ) var KinectCalibration = require('./KinectCalibration');
+
+/**
+ * finds a visitor's head, hands && torso in their foreground silhouette, no skeleton tracking involved: the torso
+ * is the middle of the blob, the head is the top of the silhouette straight above it && a hand is whatever part
+ * reaches farthest past the body on its side ( out past the shoulders, up above them, or forward towards the kinect ),
+ * as long as it reaches more than 'reach' centimetres. hands that hang by the visitor's sides aren't found. works both in the
+ * browser and in node
+ *
+ *		var landmarks = new LandmarkDetector({ calibration: calibration });
+ *		landmarks.update( background.mask, depth.data, tracker.blobs[0] );	// every frame, after tracker.update()
+ *		if( landmarks.leftHand && landmarks.leftHand.raised ) console.log( 'hand up at ', landmarks.leftHand.x, landmarks.leftHand.y );
+ *
+ * left && right are as the kinect sees them ( the visitor's right hand is leftHand ). every landmark is null when it isn't
+ * found, otherwise { x, y, z, pixel, point }: x && y are 0.0 - 1.0 across && down the frame, z is 0.0 at 'near' && 1.0 at 'far',
+ * pixel is [ x, y ] in depth pixels && point is [ x, y, z ] in millimetres ( see KinectCalibration.pixelToPoint ). hands also
+ * have 'raised', true when they're above the visitor's chin
+ *
+ * @class LandmarkDetector
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'calibration' ( instanceof KinectCalibration, the
+ * default calibration otherwise ), 'near' && 'far' ( centimetres z is normalised between, default 50 && 300 ), 'reach'
+ * ( centimetres past the body a hand has to be, default 25 ), 'step' ( the silhouette is searched every 'step' pixels,
+ * default 2 ) && 'smoothing' ( 0.0 - 1.0, how much of the last frame's position a landmark keeps, default 0.5 )
+ * @property {Object|null} head
+ * @property {Object|null} torso
+ * @property {Object|null} leftHand
+ * @property {Object|null} rightHand
+ */
+function LandmarkDetector( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.calibration = config.calibration || new KinectCalibration();
+	this.near = ( typeof config.near === "number" ) ? config.near : 50;
+	this.far = ( typeof config.far === "number" ) ? config.far : 300;
+	this.reach = ( typeof config.reach === "number" ) ? config.reach : 25;
+	this.step = ( typeof config.step === "number" ) ? Math.max( 1, Math.round( config.step ) ) : 2;
+	this.smoothing = ( typeof config.smoothing === "number" ) ? config.smoothing : 0.5;
+
+	this.reset();
+}
+
+/**
+ * @method reset
+ */
+LandmarkDetector.prototype.reset = function() {
+	this.head = null;
+	this.torso = null;
+	this.leftHand = null;
+	this.rightHand = null;
+};
+
+/**
+ * looks for the landmarks in a new frame
+ * @method update
+ * @param {Uint8Array} mask 1 for every foreground pixel ( see BackgroundModel.mask ), width * height values
+ * @param {Uint8Array} depth the raw depth frame the mask came from ( little-endian 16bit values )
+ * @param {Object} [blob] the visitor's blob ( see BlobTracker.blobs ), only the silhouette inside its bounding
+ * box is searched. every landmark is lost when it's left out
+ */
+LandmarkDetector.prototype.update = function( mask, depth, blob ) {
+
+	if( mask.length !== this.width * this.height || depth.length !== this.width * this.height * 2 ){
+		throw new Error('LandmarkDetector: expected a ' + this.width + 'x' + this.height + ' frame');
+	}
+
+	if( !blob ){
+		this.reset();
+		return;
+	}
+
+	var cal = this.calibration, toMm = cal.mm;
+	var w = this.width, step = this.step;
+	var x0 = blob.x, y0 = blob.y, x1 = blob.x + blob.width, y1 = blob.y + blob.height;
+	var x, y, i, mm, p;
+
+	// torso: the blob's centroid, at the mean distance of the silhouette around it ( ~ 10cm either way )
+	var tx = Math.round( blob.centroid[0] ), ty = Math.round( blob.centroid[1] );
+	var tmm = ( blob.distance !== null ) ? blob.distance * 1000 : 0;
+	if( tmm === 0 ){
+		this.reset();
+		return;
+	}
+	var r = Math.max( step, Math.round( cal.fx * 100 / tmm ) );
+	var sum = 0, n = 0;
+	for (y = Math.max( y0, ty - r ); y < Math.min( y1, ty + r ); y += step) {
+		for (x = Math.max( x0, tx - r ); x < Math.min( x1, tx + r ); x += step) {
+			i = y * w + x;
+			mm = ( mask[i] === 1 ) ? toMm[ ( depth[i * 2 + 1] << 8 | depth[i * 2] ) & 2047 ] : 0;
+			if( mm > 0 ){
+				sum += mm;
+				n++;
+			}
+		}
+	}
+	if( n > 0 ) tmm = sum / n;
+	var torso = cal.pixelToPoint( tx, ty, tmm );
+
+	// head: the top of the silhouette within ~ 12cm of the torso's centre line, && its centre ~ 10cm below that
+	var column = Math.max( step, Math.round( cal.fx * 120 / tmm ) );
+	var headTop = -1;
+	for (y = y0; y < y1 && headTop === -1; y += step) {
+		for (x = Math.max( x0, tx - column ); x < Math.min( x1, tx + column ); x += step) {
+			if( mask[ y * w + x ] === 1 ){
+				headTop = y;
+				break;
+			}
+		}
+	}
+	var head = null;
+	var headX = tx, headBottom = y0; // hands aren't looked for in the head itself
+	if( headTop !== -1 ){
+		var headSize = Math.round( cal.fy * 200 / tmm );
+		var hx = 0, hmm = 0;
+		n = 0;
+		headBottom = Math.min( y1, headTop + headSize );
+		for (y = headTop; y < headBottom; y += step) {
+			for (x = Math.max( x0, tx - column ); x < Math.min( x1, tx + column ); x += step) {
+				i = y * w + x;
+				mm = ( mask[i] === 1 ) ? toMm[ ( depth[i * 2 + 1] << 8 | depth[i * 2] ) & 2047 ] : 0;
+				if( mm > 0 ){
+					hx += x;
+					hmm += mm;
+					n++;
+				}
+			}
+		}
+		if( n > 0 ){
+			head = [ hx / n, headTop + headSize / 2, hmm / n ];
+			headX = Math.round( head[0] );
+		}
+	}
+
+	// hands: whatever sticks out farthest on either side, past the shoulders ( ~ 20cm either side of the torso && below the
+	// head's centre ), above them or in front of the torso. only above the hips ( ~ 20cm below the torso ), not the legs, && not
+	// more than 40cm behind the torso or an arm's length ( ~ 80cm ) in front of it, which is someone else the blob ran into
+	var headPoint = ( head !== null ) ? cal.pixelToPoint( head[0], head[1], head[2] ) : null;
+	var shoulders = ( headPoint !== null ) ? headPoint[1] + 200 : torso[1] - 300;
+	var hips = torso[1] + 200, reach = this.reach * 10;
+	var best = [ reach * reach, reach * reach ], found = [ null, null ];
+	for (y = y0; y < y1; y += step) {
+		for (x = x0; x < x1; x += step) {
+
+			i = y * w + x;
+			if( mask[i] !== 1 ) continue;
+			if( y < headBottom && x >= headX - column && x < headX + column ) continue;
+
+			mm = toMm[ ( depth[i * 2 + 1] << 8 | depth[i * 2] ) & 2047 ];
+			if( mm === 0 ) continue;
+
+			p = cal.pixelToPoint( x, y, mm );
+			if( p[1] > hips || p[2] > torso[2] + 400 || p[2] < torso[2] - 800 ) continue;
+
+			var dx = p[0] - torso[0];
+			var out = Math.max( 0, Math.abs( dx ) - 200 ), up = Math.max( 0, shoulders - p[1] ), forward = Math.max( 0, torso[2] - p[2] );
+			var d = out * out + up * up + forward * forward;
+			var side = ( dx < 0 ) ? 0 : 1;
+			if( d > best[side] ){
+				best[side] = d;
+				found[side] = [ x, y, mm ];
+			}
+		}
+	}
+
+	var chin = ( headPoint !== null ) ? headPoint[1] + 100 : torso[1] - 400;
+
+	this.torso = this._landmark( this.torso, tx, ty, tmm );
+	this.head = ( head !== null ) ? this._landmark( this.head, head[0], head[1], head[2] ) : null;
+	this.leftHand = ( found[0] !== null ) ? this._landmark( this.leftHand, found[0][0], found[0][1], found[0][2] ) : null;
+	this.rightHand = ( found[1] !== null ) ? this._landmark( this.rightHand, found[1][0], found[1][1], found[1][2] ) : null;
+	if( this.leftHand !== null ) this.leftHand.raised = this.leftHand.point[1] < chin;
+	if( this.rightHand !== null ) this.rightHand.raised = this.rightHand.point[1] < chin;
+};
+
+/**
+ * values for shader uniforms, a vec4 per landmark: uv coordinates ( like MeshFromDepth's 'uv', so v goes up the frame ),
+ * normalised z && 1.0 when the landmark was found ( all 0.0 otherwise ), see MeshFromDepth.setLandmarks()
+ * @method uniforms
+ * @return {Object} { landmarkHead, landmarkTorso, landmarkLeftHand, landmarkRightHand }
+ */
+LandmarkDetector.prototype.uniforms = function() {
+
+	function vec( l ){
+		return ( l !== null ) ? [ l.x, 1.0 - l.y, l.z, 1.0 ] : [ 0.0, 0.0, 0.0, 0.0 ];
+	}
+
+	return {
+		landmarkHead: vec( this.head ),
+		landmarkTorso: vec( this.torso ),
+		landmarkLeftHand: vec( this.leftHand ),
+		landmarkRightHand: vec( this.rightHand )
+	};
+};
+
+/**
+ * takes the landmarks found by another LandmarkDetector ( the one in installation/depth-worker.js )
+ * @method setLandmarks
+ * @param {Object} landmarks { head, torso, leftHand, rightHand } as they were on it
+ */
+LandmarkDetector.prototype.setLandmarks = function( landmarks ) {
+	this.head = landmarks.head;
+	this.torso = landmarks.torso;
+	this.leftHand = landmarks.leftHand;
+	this.rightHand = landmarks.rightHand;
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+// a landmark at pixel x,y && distance mm, eased from where it was last frame
+LandmarkDetector.prototype._landmark = function( last, x, y, mm ) {
+
+	if( last !== null ){
+		var k = 1 - this.smoothing;
+		x = last.pixel[0] + ( x - last.pixel[0] ) * k;
+		y = last.pixel[1] + ( y - last.pixel[1] ) * k;
+		mm = last.point[2] + ( mm - last.point[2] ) * k;
+	}
+
+	var z = ( mm / 10 - this.near ) / ( this.far - this.near );
+
+	return {
+		x: x / this.width,
+		y: y / this.height,
+		z: Math.max( 0, Math.min( 1, z ) ),
+		pixel: [ x, y ],
+		point: this.calibration.pixelToPoint( x, y, mm )
+	};
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = LandmarkDetector;
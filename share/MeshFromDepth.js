@@ -3,11 +3,16 @@
  * @class MeshFromDepth
  * @constructor
  * @param {Object} config A config object, requires you pass at least a threejs 'scene' object, 
- * a 'depthCanvas' ( a canvas with depth data rendered to it ), presumably from an instanceof DepthFromKinect,
+ * a 'depthData' ( a canvas with depth data rendered to it, presumably from an instanceof DepthFromKinect, or the DepthFromKinect
+ * itself, whose raw 16bit values are then uploaded as they are && decoded in the shaders at full precision, see KinectCalibration.GLSL ),
  * a 'vertexShaderID' and 'fragmentShaderID' or 'vertexShader' and 'fragementShader' file paths. 
  * optional parameters include 'polycount' for mesh resolution, 'type' which can be either 'mesh' or 'point', 'pointsize' ( when type=='point') 
  * 'wireframe' ( boolean value, when type=="mesh"), as well as 'wireframeLinewidth' ( when wireframe==true ),  
  *  and 'uniforms' array of custom uniform objects ( ex: { name:"time", type: "f", value: 1.0 }, see <a href="http://threejs.org/docs/index.html#Reference/Materials/ShaderMaterial.uniforms" target="_blank">threejs ShaderMaterial</a> for more info )
+ *  an optional 'colorData' canvas ( registered rgb, presumably from an instanceof VideoFromKinect ) is passed to the shaders as 'colorMap'
+ *  vertex shaders get KinectCalibration.GLSL prepended ( kinectRaw(), kinectMm() && kinectPoint() ) w/the values of an optional 'calibration'
+ *  ( instanceof KinectCalibration, the default calibration otherwise ), plus 'near' && 'far' ( centimetres, default 30 && 90 ) as the
+ *  "nearClip" && "farClip" uniforms. every shader also gets the visitor's head, torso && hands as vec4 uniforms, see setLandmarks()
  */
 
 /*
@@ -50,20 +55,21 @@
 
 	uniform sampler2D map;
 	uniform float pointsize;
+	uniform float nearClip;
+	uniform float farClip;
 	
 	varying float vDepth;
 
-	float zoffset = 2048.0/4.0; // redefine "center"
+	float zoffset = 600.0; // redefine "center" ( mm from the kinect )
 
 	void main() {
 		
-		vec4 depth = texture2D( map, uv );
-		float d = ( depth.r + depth.g ) / 2.0;
-		vDepth = d; // pass to fragment shader
-		float cd = clamp( d, 0.6471, 1.0 );
-		float z = (1.0-cd) * 2048.0; 
+		// real distance in mm, everything past farClip flattened onto it
+		float mm = clamp( kinectMm( kinectRaw( texture2D( map, uv ) ) ), nearClip * 10.0, farClip * 10.0 );
+		vDepth = ( farClip - mm / 10.0 ) / ( farClip - nearClip ); // pass to fragment shader, 1.0 near, 0.0 far
+		vec3 p = kinectPoint( uv, mm );
 
-		vec4 pos = vec4( position.x, position.y, -z+zoffset, 1.0 );
+		vec4 pos = vec4( p.x, -p.y, -p.z+zoffset, 1.0 );
 		gl_PointSize = pointsize;
 		gl_Position = projectionMatrix * modelViewMatrix * pos;
 	}
@@ -76,8 +82,7 @@
 
 	void main() {
 		
-		float d = (vDepth - 0.6471) / 0.3529; // scale it
-		gl_FragColor = vec4( d, d, d, 1.0 );
+		gl_FragColor = vec4( vDepth, vDepth, vDepth, 1.0 );
 		//gl_FragColor = vec4( 1.0, 1.0, 1.0, 1.0 );
 	}
 
@@ -86,6 +91,7 @@ function MeshFromDepth( config ){
 
 	if(typeof THREE === 'undefined') throw new Error('MeshFromDepth: requires the three.js library');
 	if(typeof BB === 'undefined') throw new Error('MeshFromDepth: requires the liBB library');
+	if(typeof KinectCalibration === 'undefined') throw new Error('MeshFromDepth: requires KinectCalibration.js');
 
 	this.config = config;
 
@@ -96,14 +102,35 @@ function MeshFromDepth( config ){
 	else throw new Error('MeshFromDepth: expecting a threejs scene object');
 
 
-	// make sure there's a canvas w/depth data to refernce  ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~
+	// make sure there's a canvas w/depth data ( or raw depth ) to refernce  ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~
 	if( config.depthData !== "undefined" && config.depthData instanceof HTMLCanvasElement ){
+		this.depth = null;
 		this.canvasWidth = config.depthData.width;
 		this.canvasHeight = config.depthData.height;
 		this.texture = new THREE.Texture( config.depthData );
 		this.texture.minFilter = THREE.NearestFilter; // bugs out otherwise if canvas.width/height isn't a power of 2	
+	} else if( typeof DepthFromKinect !== "undefined" && config.depthData instanceof DepthFromKinect ){
+		// two bytes per pixel, little-endian like the kinect-daemon sends them: luminance is the low byte, alpha the high one
+		this.depth = config.depthData;
+		this.canvasWidth = this.depth.width;
+		this.canvasHeight = this.depth.height;
+		this.texture = new THREE.DataTexture( new Uint8Array( this.canvasWidth * this.canvasHeight * 2 ),
+			this.canvasWidth, this.canvasHeight, THREE.LuminanceAlphaFormat, THREE.UnsignedByteType );
+		this.texture.minFilter = THREE.NearestFilter; // blending bytes of neighbouring values would be meaningless
+		this.texture.magFilter = THREE.NearestFilter;
+		this.texture.generateMipmaps = false;
+		this.texture.flipY = true; // the same way up as a canvas texture, so shaders read either w/the same uv
 	} else {
-		throw new Error('MeshFromDepth: depthData: expecting instanceof HTMLCanvasElement ');
+		throw new Error('MeshFromDepth: depthData: expecting instanceof HTMLCanvasElement or DepthFromKinect');
+	}
+
+	// optional canvas w/color aligned to the depth data ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.
+	if( typeof config.colorData !== "undefined" ){
+		if( !(config.colorData instanceof HTMLCanvasElement) ) throw new Error('MeshFromDepth: colorData: expecting instanceof HTMLCanvasElement ');
+		this.colorTexture = new THREE.Texture( config.colorData );
+		this.colorTexture.minFilter = THREE.NearestFilter;
+	} else {
+		this.colorTexture = null;
 	}
 
 
@@ -124,6 +151,9 @@ function MeshFromDepth( config ){
 	this.wireframeLinewidth = (typeof config.wireframeLinewidth!=='undefined') ? config.wireframeLinewidth : 1;
 	this.pointsize = (typeof config.pointsize!=='undefined') ? config.pointsize : 1;
 	this.polycount = (typeof config.polycount!=='undefined') ? config.polycount : 10;
+	this.calibration = (typeof config.calibration!=='undefined') ? config.calibration : new KinectCalibration();
+	this.near = (typeof config.near!=='undefined') ? config.near : 30;
+	this.far = (typeof config.far!=='undefined') ? config.far : 90;
 
 	if( typeof config.uniforms !== "undefined" && !(config.uniforms instanceof Array) ){
 		throw new Error('MeshFromDepth: uniforms should be an Array of objects: {name:"string",type:"string",value:in_type}');
@@ -300,18 +330,27 @@ MeshFromDepth.prototype._geometry = function( width, height ) {
 MeshFromDepth.prototype._material = function( width, height ) {
 	
 	var self = this;
+	var cal = this.calibration.uniforms();
 
 	var unis = {
-			// "leapx": 		{ type: "f", value: 0.0 },
-			// "leapy": 		{ type: "f", value: 0.0 },
 			// "clrbox": 		{ type: "t", value: clrBox },
 			// "time": 		{ type: "f", value: 1.0 }
 			"map": 			{ type: "t", value: self.texture },
 			"width": 		{ type: "f", value: width },
 			"height": 		{ type: "f", value: height },
 			"pointsize": 	{ type: "f", value: self.pointsize },	
+			"kinectDisparity": 	{ type: "v2", value: new THREE.Vector2().fromArray( cal.kinectDisparity ) },
+			"kinectIntrinsics": { type: "v4", value: new THREE.Vector4().fromArray( cal.kinectIntrinsics ) },
+			"nearClip": 	{ type: "f", value: self.near },
+			"farClip": 		{ type: "f", value: self.far },
+			"landmarkHead": 		{ type: "v4", value: new THREE.Vector4() },
+			"landmarkTorso": 		{ type: "v4", value: new THREE.Vector4() },
+			"landmarkLeftHand": 	{ type: "v4", value: new THREE.Vector4() },
+			"landmarkRightHand": 	{ type: "v4", value: new THREE.Vector4() },
 	}
 
+	if( this.colorTexture !== null ) unis[ "colorMap" ] = { type: "t", value: self.colorTexture };
+
 	if( typeof this.uniforms !== "undefined"){
 		for (var i = 0; i < this.uniforms.length; i++) {
 			if( typeof this.uniforms[i].name !== "undefined" &&
@@ -350,8 +389,9 @@ MeshFromDepth.prototype._material = function( width, height ) {
 		// },
 		// 
 		uniforms: unis,
+		defines: ( self.depth !== null ) ? { KINECT_RAW_DEPTH: "" } : {}, // which texture kinectRaw() reads
 		
-		vertexShader: self.vertexShader,
+		vertexShader: KinectCalibration.GLSL + self.vertexShader,
 		fragmentShader: self.fragmentShader,
 		
 		blending: THREE.AdditiveBlending,
@@ -394,12 +434,73 @@ MeshFromDepth.prototype._loadFile = function( type, path) {
 // ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. public methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
 
 /**
- * updates texture
+ * updates texture ( w/the DepthFromKinect's latest 'data' when it was passed as 'depthData' )
  * @method update
  */
 MeshFromDepth.prototype.update = function() {
 
+	// copied rather than referenced, the depth's buffer may be handed on ( to a worker, say ) before the texture's uploaded
+	if( this.depth !== null ){
+		if( this.depth.data === null ) return; // no frame yet
+		this.texture.image.data.set( this.depth.data );
+	}
 	this.texture.needsUpdate = true;
 
 };
 
+/**
+ * @method setCalibration
+ * @param {KinectCalibration} calibration of the kinect the depth comes from
+ */
+MeshFromDepth.prototype.setCalibration = function( calibration ) {
+
+	this.calibration = calibration;
+	if( !this.loaded ) return; // picked up when the material's made
+
+	var cal = calibration.uniforms();
+	this.mesh.material.uniforms.kinectDisparity.value.fromArray( cal.kinectDisparity );
+	this.mesh.material.uniforms.kinectIntrinsics.value.fromArray( cal.kinectIntrinsics );
+
+};
+
+/**
+ * @method setRange
+ * @param {Number} near centimetres from the kinect
+ * @param {Number} far centimetres from the kinect, anything farther is flattened onto it
+ */
+MeshFromDepth.prototype.setRange = function( near, far ) {
+
+	this.near = near;
+	this.far = far;
+	if( !this.loaded ) return;
+
+	this.mesh.material.uniforms.nearClip.value = near;
+	this.mesh.material.uniforms.farClip.value = far;
+
+};
+
+/**
+ * passes where the visitor's head, torso && hands are to the shaders, as the vec4 uniforms "landmarkHead", "landmarkTorso",
+ * "landmarkLeftHand" && "landmarkRightHand" ( uv, normalised depth && 1.0 when found, see LandmarkDetector.uniforms )
+ * @method setLandmarks
+ * @param {LandmarkDetector} landmarks
+ */
+MeshFromDepth.prototype.setLandmarks = function( landmarks ) {
+
+	if( !this.loaded ) return;
+
+	var values = landmarks.uniforms();
+	for (var name in values) this.mesh.material.uniforms[ name ].value.fromArray( values[ name ] );
+
+};
+
+/**
+ * updates color texture ( when created with 'colorData' ), video arrives on its own so this is separate from update()
+ * @method updateColor
+ */
+MeshFromDepth.prototype.updateColor = function() {
+
+	if( this.colorTexture !== null ) this.colorTexture.needsUpdate = true;
+
+};
+
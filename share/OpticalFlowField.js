@@ -1,152 +1,221 @@
-function OpticalFlowField(width, height, zoneSize, debug) {
-
-    this.cutoff = 1000;
-    this.v = 0;
-    this.u = 0;
-
-    this.depthCanvas = document.createElement('canvas');
-    this.depthCanvas.width = width;
-    this.depthCanvas.height = height;
-    this.depthContext = this.depthCanvas.getContext('2d');
-    // document.body.appendChild(this.depthCanvas);
-      
-    this.imageData = this.depthContext.createImageData(width, height);
-    
-    if (debug) {
-        this.debugCanvas = document.createElement('canvas');
-        this.debugCanvas.width = width;
-        this.debugCanvas.height = height;
-        this.debugContext = this.debugCanvas.getContext('2d');
-        document.body.appendChild(this.debugCanvas);
-    }
-      
-    this.canvas = document.createElement('canvas');
-    this.canvas.width = Math.floor(width / (zoneSize * 2 - 1));
-    this.canvas.height = Math.floor(height / (zoneSize * 2 - 1));
-    this.context = this.canvas.getContext('2d');
-    this.canvas.style.width = '155px';
-    this.canvas.style.height = '120px';
-    document.body.appendChild(this.canvas);
-        
-    this.canvasFlow = new oflow.CanvasFlow(this.depthCanvas, zoneSize);
-    var self = this;
-    var maxLength = new BB.Vector2(-(zoneSize * 2 + 1), zoneSize * 2 + 1).length();
-    this.canvasFlow.onCalculated(function (direction) {
-
-        self.u = direction.u;
-        self.v = direction.v;
-
-        // render zones
-        if (debug) {
-            self.debugContext.fillStyle = '#000';
-            self.debugContext.fillRect(0, 0, self.debugCanvas.width, self.debugCanvas.height);
-        }
-        
-        self.context.fillStyle = "#fff";
-        self.context.fillRect(0, 0, self.canvas.width, self.canvas.height);
-
-        for(var i = 0; i < direction.zones.length; ++i) {
-           
-           // fill flow debug context
-            var zone = direction.zones[i];
-            var color = getDirectionalColor(zone.u, zone.v);
-            
-            if (debug) {
-                self.debugContext.strokeStyle = color;
-                self.debugContext.beginPath();
-                self.debugContext.moveTo(zone.x,zone.y);
-                self.debugContext.lineTo((zone.x - zone.u), zone.y + zone.v);
-                self.debugContext.stroke();
-            }
-
-            // fill difference texture
-            // for some reason empty background fills red, switch this to black
-            if (color === 'rgba(255,0,0,1)') {
-                color = 'rgba(255,255,255,1)';
-            } else {
-                // zone.u and zone.y are values between -(zoneSize * 2 + 1) and (zoneSize * 2 + 1), 
-                // so to calculate the magnitude of the vector 
-                var len = new BB.Vector2(zone.u, zone.v).length();
-
-                var alpha = BB.MathUtils.map(len, 0, maxLength, 0.0, 1.0);
-                // var alpha = BB.MathUtils.map((Math.abs(zone.u) + Math.abs(zone.v)), 0, (zoneSize * 2 + 1) * 2, 0.0, 1.0);
-                // var alpha = vec.alphaanceTo(new BB.Vector2(zone.u, zone.v)) // / Math.floor(zoneSize * 2 + 1);
-                // var alpha = BB.MathUtils.map(((new BB.Vector2(zone.u - zone.x, zone.v - zone.y)).length() % zoneSize * 2 + 1), 0, 17, 0.0, 1.0);
-                // if (alpha < 0.1) console.log(alpha);
-                // alphas.push(alpha);
-                color = color.split(',');
-                color[color.length - 1] = alpha + ')';
-                color = color.join(',')
-
-                self.context.fillStyle = color;
-                self.context.fillRect(zone.x / (self.depthCanvas.width / self.canvas.width),
-                                    zone.y / (self.depthCanvas.height / self.canvas.height), 1, 1);
-            }
-        }        
-    });
-    
-    this.canvasFlow.startCapture();
-
-    function fromArgb(a, r, g, b) {
-        return 'rgba(' + [r, g, b, a/255].join(',') + ')';
-    }
-      
-    function convertHsvToRgb(h, s, v) {
-        var a, b, c, d, hueFloor;
-        h = h / 360;
-        if (s > 0) {
-            if (h >= 1) {
-                h = 0;
-            }
-            h = 6 * h;
-            hueFloor = Math.floor(h);
-            a = Math.round(255 * v * (1.0 - s));
-            b = Math.round(255 * v * (1.0 - (s * (h - hueFloor))));
-            c = Math.round(255 * v * (1.0 - (s * (1.0 - (h - hueFloor)))));
-            d = Math.round(255 * v);
-
-            switch (hueFloor) {
-                case 0: return fromArgb(255, d, c, a);
-                case 1: return fromArgb(255, b, d, a);
-                case 2: return fromArgb(255, a, d, c);
-                case 3: return fromArgb(255, a, b, d);
-                case 4: return fromArgb(255, c, a, d);
-                case 5: return fromArgb(255, d, a, b);
-                default: return fromArgb(0, 0, 0, 0);
-            }
-        }
-        d = v * 255;
-        return fromArgb(255, d, d, d);
-    }
-
-    var toDegree = 180 / Math.PI;
-    function getDirectionalColor(x, y) {
-        var hue = (Math.atan2(y, x) * toDegree + 360) % 360;
-        return convertHsvToRgb(hue, 1, 1);
-    }
-}
-
-OpticalFlowField.prototype.addFrame = function(pixels) {
-    
-    var i = 0;
-    var j = 0;
-
-    for (var y = 0; y < this.depthCanvas.height; y++) {
-        for (var x = 0; x < this.depthCanvas.width; x++) {
-            
-            var val = pixels[j + 1] << 8 | pixels[j];
-            val = BB.MathUtils.map(val, 0, this.cutoff, 255, 0);
-
-            this.imageData.data[i + 0] = val;
-            this.imageData.data[i + 1] = val;
-            this.imageData.data[i + 2] = val;
-            this.imageData.data[i + 3] = 255;
-
-            j += 2;
-            i += 4;
-        }
-    }
-
-    this.depthContext.putImageData(this.imageData, 0, 0);
+/**
+ * optical flow of the depth stream, which way things in front of the kinect are moving. each frame is shrunk 'scale' times
+ * ( averaging blocks of pixels, which also smooths the silhouette's edges ), turned into a closeness image ( nearer is
+ * brighter, pixels w/no reading or outside the presence zone are black ) && compared to the last one w/the Lucas-Kanade
+ * method ( same as oflow's FlowCalculator, see libs/oflow.js ), once per cell of 'zoneSize' x 'zoneSize' shrunk pixels.
+ * no canvases, it runs in a worker ( see installation/depth-worker.js ) && in node just the same
+ *
+ *		var flow = new OpticalFlowField({ scale: 4, zoneSize: 5 });
+ *		flow.addFrame( depth, zone.active );	// every frame
+ *		console.log( flow.u, flow.v );			// frame pixels per frame, the way the visitor's moving
+ *
+ * the result is also kept as a tiny rgba image, 'field', a pixel per cell ( rows top to bottom like the depth frame ) to be
+ * uploaded as a texture: r && g are the cell's u && v ( 128 is still, 0 && 255 are 'maxSpeed' either way ), b is its speed
+ * ( 255 at 'maxSpeed' ) && a is 255 where something moved, 0 everywhere else
+ *
+ * @class OpticalFlowField
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'scale' ( how much frames are shrunk, default 4 ),
+ * 'zoneSize' ( shrunk pixels per cell, default 5 ), 'threshold' ( frame pixels per frame a cell has to move to count, default 1 ),
+ * 'maxSpeed' ( frame pixels per frame, default 16 ) && 'smoothing' ( 0.0 - 1.0, how much of the last frame's flow a cell keeps,
+ * default 0.5 )
+ * @property {Number} u the mean horizontal flow of the cells that moved, frame pixels per frame ( positive is right )
+ * @property {Number} v the mean vertical flow, positive is down
+ * @property {Uint8Array} field columns * rows rgba values
+ * @property {Number} columns
+ * @property {Number} rows
+ */
+function OpticalFlowField( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.scale = ( typeof config.scale === "number" ) ? Math.max( 1, Math.round( config.scale ) ) : 4;
+	this.zoneSize = ( typeof config.zoneSize === "number" ) ? Math.max( 2, Math.round( config.zoneSize ) ) : 5;
+	this.threshold = ( typeof config.threshold === "number" ) ? config.threshold : 1;
+	this.maxSpeed = ( typeof config.maxSpeed === "number" ) ? config.maxSpeed : 16;
+	this.smoothing = ( typeof config.smoothing === "number" ) ? config.smoothing : 0.5;
+
+	this._w = Math.floor( this.width / this.scale );
+	this._h = Math.floor( this.height / this.scale );
+	this.columns = Math.floor( this._w / this.zoneSize );
+	this.rows = Math.floor( this._h / this.zoneSize );
+
+	this.field = new Uint8Array( this.columns * this.rows * 4 );
+	this._image = new Float32Array( this._w * this._h );
+	this._last = new Float32Array( this._w * this._h );
+	this._tmp = new Float32Array( this._w * this._h );
+	this._u = new Float32Array( this.columns * this.rows ); // per cell, smoothed, shrunk pixels per frame
+	this._v = new Float32Array( this.columns * this.rows );
+
+	this.reset();
 }
 
+/**
+ * forgets the last frame, the next one starts a new flow
+ * @method reset
+ */
+OpticalFlowField.prototype.reset = function() {
+	this.u = 0;
+	this.v = 0;
+	this._first = true;
+	for (var i = 0; i < this._u.length; i++) this._u[i] = this._v[i] = 0;
+	this._draw();
+};
+
+/**
+ * @method addFrame
+ * @param {Uint8Array} depth raw depth frame ( little-endian 16bit values, width * height * 2 bytes )
+ * @param {Uint8Array} [zone] one value per pixel ( see PresenceZone.active ), only pixels set to 1 are followed
+ */
+OpticalFlowField.prototype.addFrame = function( depth, zone ) {
+
+	if( depth.length !== this.width * this.height * 2 ){
+		throw new Error('OpticalFlowField: expected a ' + this.width + 'x' + this.height + ' frame');
+	}
+
+	// swap, the last frame's image is the one we're about to overwrite
+	var last = this._image;
+	this._image = this._last;
+	this._last = last;
+
+	this._shrink( depth, zone );
+
+	if( this._first ){
+		this._first = false;
+		return;
+	}
+
+	this._flow();
+	this._draw();
+};
+
+/**
+ * takes a flow worked out by another OpticalFlowField of the same size ( the one in installation/depth-worker.js )
+ * @method setField
+ * @param {Uint8Array} field its 'field'
+ * @param {Array} motion its [ u, v ]
+ */
+OpticalFlowField.prototype.setField = function( field, motion ) {
+	this.field.set( field );
+	this.u = motion[0];
+	this.v = motion[1];
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private methods ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+// closeness ( 2048 - raw, the kinect's raw values grow w/distance ) averaged over each block of scale x scale pixels
+OpticalFlowField.prototype._shrink = function( depth, zone ) {
+
+	var img = this._image, w = this.width, s = this.scale, sw = this._w, sh = this._h;
+	var n = s * s;
+
+	for (var y = 0, o = 0; y < sh; y++) {
+		for (var x = 0; x < sw; x++, o++) {
+
+			var sum = 0;
+			for (var by = y * s; by < y * s + s; by++) {
+				for (var i = by * w + x * s, end = i + s; i < end; i++) {
+					if( zone && zone[i] !== 1 ) continue;
+					var raw = ( depth[i * 2 + 1] << 8 | depth[i * 2] ) & 2047;
+					if( raw < 2047 ) sum += 2048 - raw;
+				}
+			}
+			img[o] = sum / n;
+		}
+	}
+
+	// && blurred a little, a silhouette's edge has to be wider than it moves for the fit to follow it
+	var tmp = this._tmp;
+	tmp.set( img );
+	for (y = 1; y < sh - 1; y++) {
+		for (var j = y * sw + 1, last = y * sw + sw - 1; j < last; j++) {
+			img[j] = ( tmp[j - sw - 1] + tmp[j - sw] + tmp[j - sw + 1] + tmp[j - 1] + tmp[j] + tmp[j + 1] + tmp[j + sw - 1] + tmp[j + sw] + tmp[j + sw + 1] ) / 9;
+		}
+	}
+};
+
+// Lucas-Kanade, a least squares fit of Ix * u + Iy * v + It = 0 over each cell
+OpticalFlowField.prototype._flow = function() {
+
+	var img = this._image, last = this._last, sw = this._w, sh = this._h;
+	var size = this.zoneSize, cols = this.columns, rows = this.rows;
+	var keep = this.smoothing, limit = this.maxSpeed / this.scale, min = this.threshold / this.scale;
+	var sumU = 0, sumV = 0, moved = 0;
+
+	for (var cy = 0, c = 0; cy < rows; cy++) {
+		for (var cx = 0; cx < cols; cx++, c++) {
+
+			var xx = 0, xy = 0, yy = 0, xt = 0, yt = 0;
+			// central differences, so the outermost shrunk pixels are left out
+			var x0 = Math.max( 1, cx * size ), x1 = Math.min( sw - 1, cx * size + size );
+			var y0 = Math.max( 1, cy * size ), y1 = Math.min( sh - 1, cy * size + size );
+
+			for (var y = y0; y < y1; y++) {
+				for (var i = y * sw + x0, end = y * sw + x1; i < end; i++) {
+					var ix = ( img[i + 1] - img[i - 1] ) / 2;
+					var iy = ( img[i + sw] - img[i - sw] ) / 2;
+					var it = img[i] - last[i];
+					xx += ix * ix;
+					xy += ix * iy;
+					yy += iy * iy;
+					xt += ix * it;
+					yt += iy * it;
+				}
+			}
+
+			var u = 0, v = 0;
+			var det = xx * yy - xy * xy;
+			if( det > 1e-6 * ( xx + yy ) * ( xx + yy ) ){
+				u = ( xy * yt - yy * xt ) / det;
+				v = ( xy * xt - xx * yt ) / det;
+			}
+			else if( xx + yy > 0 ){
+				// a straight edge, only the flow across it can be told ( along the gradient )
+				u = -xt / ( xx + yy );
+				v = -yt / ( xx + yy );
+			}
+
+			// way past what a cell can see is noise, not motion
+			if( u * u + v * v > 4 * limit * limit ) u = v = 0;
+			u = Math.max( -limit, Math.min( limit, u ) );
+			v = Math.max( -limit, Math.min( limit, v ) );
+
+			u = this._u[c] = this._u[c] * keep + u * ( 1 - keep );
+			v = this._v[c] = this._v[c] * keep + v * ( 1 - keep );
+
+			if( u * u + v * v >= min * min ){
+				sumU += u;
+				sumV += v;
+				moved++;
+			}
+		}
+	}
+
+	this.u = ( moved > 0 ) ? sumU / moved * this.scale : 0;
+	this.v = ( moved > 0 ) ? sumV / moved * this.scale : 0;
+};
+
+OpticalFlowField.prototype._draw = function() {
+
+	var field = this.field, limit = this.maxSpeed / this.scale, min = this.threshold / this.scale;
+
+	for (var c = 0, i = 0; c < this._u.length; c++, i += 4) {
+		var u = this._u[c], v = this._v[c];
+		var speed = Math.sqrt( u * u + v * v );
+		if( speed < min ){
+			field[i] = field[i + 1] = 128;
+			field[i + 2] = field[i + 3] = 0;
+			continue;
+		}
+		field[i] = Math.round( 128 + 127 * u / limit );
+		field[i + 1] = Math.round( 128 + 127 * v / limit );
+		field[i + 2] = Math.round( 255 * Math.min( 1, speed / limit ) );
+		field[i + 3] = 255;
+	}
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = OpticalFlowField;
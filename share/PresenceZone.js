@@ -0,0 +1,111 @@
+if( typeof KinectCalibration === "undefined" && typeof require === "function" ) var KinectCalibration = require('./KinectCalibration');
+
+/**
+ * the part of the kinect's view that counts as "in front of the installation": a polygon drawn over the depth
+ * image plus near && far depth limits. anything outside it ( people walking by behind the visitor, a crowd
+ * at the edge of the booth ) is ignored by FrameDifference && BackgroundModel. works both in the browser and in node
+ *
+ *		var zone = new PresenceZone({ near: 50, far: 300, polygon: [ [0.2, 0], [0.8, 0], [0.8, 1], [0.2, 1] ] });
+ *		zone.update( depth.data );	// every frame, before anything reads zone.active
+ *		frameDiff.addFrame( depth.data, zone.active );
+ *
+ * @class PresenceZone
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'calibration' ( instanceof KinectCalibration, the
+ * default calibration otherwise ) plus anything set() takes
+ * @property {Uint8Array} active 1 for every pixel of the last frame inside the polygon && the depth limits, 0 elsewhere
+ * @property {Number} area pixels inside the polygon
+ */
+function PresenceZone( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.calibration = config.calibration || new KinectCalibration();
+
+	this.active = new Uint8Array( this.width * this.height );
+	this._inside = new Uint8Array( this.width * this.height );
+
+	this.set( config );
+}
+
+/**
+ * @method set
+ * @param {Object} zone 'near' && 'far' ( centimetres, default 50 && 300 ) && 'polygon', an array of [x, y] image
+ * coordinates ( 0.0 - 1.0 across && down the frame ), the whole frame when it has fewer than 3 points
+ */
+PresenceZone.prototype.set = function( zone ) {
+
+	zone = zone || {};
+
+	this.near = ( typeof zone.near === "number" ) ? zone.near : 50;
+	this.far = ( typeof zone.far === "number" ) ? zone.far : 300;
+	this.polygon = ( zone.polygon instanceof Array && zone.polygon.length >= 3 ) ? zone.polygon : null;
+
+	// the limits as raw kinect values ( nearer is smaller ), so update() needn't convert every pixel
+	var mm = this.calibration.mm;
+	this._minRaw = 2047;
+	this._maxRaw = 0;
+	for (var raw = 1; raw < 2047; raw++) {
+		if( mm[raw] < this.near * 10 || mm[raw] > this.far * 10 ) continue;
+		if( raw < this._minRaw ) this._minRaw = raw;
+		if( raw > this._maxRaw ) this._maxRaw = raw;
+	}
+
+	var i = 0;
+	this.area = 0;
+	for (var y = 0; y < this.height; y++) {
+		for (var x = 0; x < this.width; x++, i++) {
+			var inside = this.polygon === null ||
+				PresenceZone.contains( this.polygon, ( x + 0.5 ) / this.width, ( y + 0.5 ) / this.height );
+			this._inside[i] = ( inside ) ? 1 : 0;
+			if( inside ) this.area++;
+		}
+	}
+};
+
+/**
+ * works out which pixels of a new frame are inside the zone
+ * @method update
+ * @param {Uint8Array} depth raw depth frame ( little-endian 16bit values, width * height * 2 bytes )
+ */
+PresenceZone.prototype.update = function( depth ) {
+
+	var active = this.active, inside = this._inside;
+	var min = this._minRaw, max = this._maxRaw;
+
+	for (var i = 0, j = 0; i < active.length; i++, j += 2) {
+		if( inside[i] === 0 ){
+			active[i] = 0;
+			continue;
+		}
+		var raw = depth[j + 1] << 8 | depth[j];
+		active[i] = ( raw >= min && raw <= max ) ? 1 : 0;
+	}
+};
+
+/**
+ * even-odd point in polygon test
+ * @method contains
+ * @static
+ * @param {Array} polygon [x, y] points
+ * @param {Number} x
+ * @param {Number} y
+ * @return {Boolean}
+ */
+PresenceZone.contains = function( polygon, x, y ) {
+
+	var inside = false;
+
+	for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		var xi = polygon[i][0], yi = polygon[i][1];
+		var xj = polygon[j][0], yj = polygon[j][1];
+		if( ( yi > y ) !== ( yj > y ) && x < ( xj - xi ) * ( y - yi ) / ( yj - yi ) + xi ) inside = !inside;
+	}
+
+	return inside;
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = PresenceZone;
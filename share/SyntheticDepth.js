@@ -0,0 +1,376 @@
+/**
+ * renders Kinect v1 format depth frames of a made-up scene: a room ( back wall && floor ) with any number
+ * of roughly human figures that walk in, wave, stand around && leave, plus sensor noise && the holes a real
+ * kinect leaves ( random dropouts && the IR shadow beside every figure ). every frame comes with the ground
+ * truth of what's in it, so presence / motion logic can be checked against it. same scene + seed + time
+ * always gives the same frame. works both in the browser and in node
+ *
+ *		var scene = new SyntheticDepth({ seed: 7 });
+ *		scene.addFigure({ distance: 2000, script: [
+ *			{ action: "enter", duration: 2000, from: "left", to: 0 },
+ *			{ action: "wave", duration: 3000 },
+ *			{ action: "leave", duration: 2000, to: "right" }
+ *		]});
+ *		var f = scene.frame( 2500 );	// f.depth ( Uint16Array of raw values ), f.truth
+ *
+ * @class SyntheticDepth
+ * @constructor
+ * @param {Object} [config] optional 'width' && 'height' ( default 640x480 ), 'wall' ( back wall distance in mm, default 4000 ),
+ * 'cameraHeight' ( mm above the floor, default 1200 ), 'noise' ( raw units of jitter, default 1.5 ), 'holes' ( share of pixels
+ * randomly dropped, default 0.005 ), 'shadow' ( IR shadow width in pixels at 1m, default 20 ), 'loop' ( wrap time around the
+ * scene's duration, default false ) and 'seed' ( default 1 )
+ */
+function SyntheticDepth( config ){
+
+	config = config || {};
+
+	this.width = config.width || 640;
+	this.height = config.height || 480;
+	this.wall = ( typeof config.wall === "number" ) ? config.wall : 4000;
+	this.cameraHeight = ( typeof config.cameraHeight === "number" ) ? config.cameraHeight : 1200;
+	this.noise = ( typeof config.noise === "number" ) ? config.noise : 1.5;
+	this.holes = ( typeof config.holes === "number" ) ? config.holes : 0.005;
+	this.shadow = ( typeof config.shadow === "number" ) ? config.shadow : 20;
+	this.loop = ( config.loop === true );
+	this.seed = ( typeof config.seed === "number" ) ? config.seed : 1;
+
+	// Kinect v1 depth intrinsics scaled to the frame size
+	this.f = 594.21 * this.width / 640;
+	this.cx = this.width / 2;
+	this.cy = this.height / 2;
+
+	this.figures = [];
+	this.duration = 0;
+
+	this._z = new Float32Array( this.width * this.height );	// mm, per frame
+	this._id = new Int8Array( this.width * this.height );	// figure index per pixel, -1 for the room
+}
+
+/**
+ * adds a figure that follows a script of actions, each lasting 'duration' ms:
+ * 'enter' ( walks in from 'from': "left" || "right" to x = 'to' mm ), 'walk' ( to x = 'to' ), 'wave', 'stand'
+ * && 'leave' ( walks off towards 'to': "left" || "right" ). the figure is out of the scene before its first
+ * 'enter' && after 'leave'
+ * @method addFigure
+ * @param {Object} figure 'script' ( Array of actions ), optional 'distance' ( mm, default 2000 ), 'x' ( mm from the centre
+ * at the start, default 0 ), 'delay' ( ms before the script starts, default 0 ), 'height' ( mm, default 1700 )
+ * @return {Object} the figure
+ */
+SyntheticDepth.prototype.addFigure = function( figure ) {
+
+	var fig = {
+		id: this.figures.length,
+		distance: figure.distance || 2000,
+		height: figure.height || 1700,
+		x: figure.x || 0,
+		delay: figure.delay || 0,
+		script: figure.script || [ { action: "stand", duration: Infinity } ]
+	};
+
+	// resolve where each step starts && ends
+	var t = fig.delay, x = fig.x;
+	var offstage = this._offstage( fig.distance );
+	for (var i = 0; i < fig.script.length; i++) {
+		var step = fig.script[i];
+		step.start = t;
+		step.duration = ( typeof step.duration === "number" ) ? step.duration : 2000;
+		if( step.action == "enter" ){
+			step.x0 = ( step.from == "right" ) ? offstage : -offstage;
+			step.x1 = ( typeof step.to === "number" ) ? step.to : 0;
+		} else if( step.action == "leave" ){
+			step.x0 = x;
+			step.x1 = ( step.to == "left" ) ? -offstage : offstage;
+		} else if( step.action == "walk" ){
+			step.x0 = x;
+			step.x1 = ( typeof step.to === "number" ) ? step.to : x;
+		} else {
+			step.x0 = step.x1 = x;
+		}
+		x = step.x1;
+		t += step.duration;
+	}
+
+	// a figure whose script starts with 'enter' isn't there until it walks in
+	fig.offstageAtStart = ( fig.script[0].action == "enter" );
+	fig.end = t;
+
+	this.figures.push( fig );
+	if( isFinite( t ) ) this.duration = Math.max( this.duration, t );
+	return fig;
+};
+
+/**
+ * @method frame
+ * @param {Number} time ms since the scene started
+ * @return {Object} { depth: Uint16Array of raw values, truth: { time, present, count, figures: [ { id, action, x, distance, bbox } ] } }
+ */
+SyntheticDepth.prototype.frame = function( time ) {
+
+	if( this.loop && this.duration > 0 ) time = time % this.duration;
+
+	var w = this.width, h = this.height;
+	var z = this._z, ids = this._id;
+	var i, x, y;
+
+	// room: floor until it meets the back wall
+	for (y = 0, i = 0; y < h; y++) {
+		var floor = ( y > this.cy ) ? this.cameraHeight * this.f / ( y - this.cy ) : Infinity;
+		var d = Math.min( floor, this.wall );
+		for (x = 0; x < w; x++, i++) {
+			z[i] = d;
+			ids[i] = -1;
+		}
+	}
+
+	var truth = { time: time, present: false, count: 0, figures: [] };
+
+	for (var f = 0; f < this.figures.length; f++) {
+		var pose = this._pose( this.figures[f], time );
+		if( pose === null ) continue;
+		var bbox = this._drawFigure( this.figures[f], pose );
+		if( bbox === null ) continue; // off frame
+		truth.figures.push({ id: this.figures[f].id, action: pose.action, x: Math.round( pose.x ), distance: this.figures[f].distance, bbox: bbox });
+	}
+
+	truth.count = truth.figures.length;
+	truth.present = truth.count > 0;
+
+	return { depth: this._sensor( time ), truth: truth };
+};
+
+/**
+ * the frame as little-endian bytes, like the kinect-daemon sends
+ * @method bytes
+ * @static
+ * @param {Uint16Array} depth
+ * @return {Uint8Array}
+ */
+SyntheticDepth.bytes = function( depth ) {
+	var out = new Uint8Array( depth.length * 2 );
+	for (var i = 0; i < depth.length; i++) {
+		out[i * 2] = depth[i] & 0xff;
+		out[i * 2 + 1] = depth[i] >> 8;
+	}
+	return out;
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. scenes ~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+/**
+ * ready made scenes: "empty", "visitor" ( walks in, waves, stands still, leaves ), "pair" ( two visitors, one
+ * passing behind the other ) && "passerby" ( walks straight through without stopping )
+ * @method scene
+ * @static
+ * @param {String} name
+ * @param {Object} [config] SyntheticDepth config
+ * @return {SyntheticDepth}
+ */
+SyntheticDepth.scene = function( name, config ) {
+
+	var scene = new SyntheticDepth( config );
+
+	if( name == "visitor" ){
+		scene.addFigure({ distance: 2000, delay: 2000, script: [
+			{ action: "enter", duration: 3000, from: "left", to: 0 },
+			{ action: "wave", duration: 4000 },
+			{ action: "stand", duration: 8000 },
+			{ action: "leave", duration: 3000, to: "right" }
+		]});
+		scene.duration += 2000; // some empty room at the end too
+	} else if( name == "pair" ){
+		scene.addFigure({ distance: 1800, delay: 1000, script: [
+			{ action: "enter", duration: 3000, from: "left", to: -300 },
+			{ action: "stand", duration: 6000 },
+			{ action: "wave", duration: 3000 },
+			{ action: "leave", duration: 3000, to: "left" }
+		]});
+		scene.addFigure({ distance: 2800, delay: 4000, script: [
+			{ action: "enter", duration: 4000, from: "right", to: 400 },
+			{ action: "wave", duration: 2000 },
+			{ action: "leave", duration: 4000, to: "left" }
+		]});
+		scene.duration += 2000;
+	} else if( name == "passerby" ){
+		scene.addFigure({ distance: 2500, delay: 1000, script: [
+			{ action: "enter", duration: 2500, from: "right", to: 0 },
+			{ action: "leave", duration: 2500, to: "left" }
+		]});
+		scene.duration += 2000;
+	} else if( name == "empty" ){
+		scene.duration = 10000;
+	} else {
+		throw new Error('SyntheticDepth: unknown scene "' + name + '"');
+	}
+
+	return scene;
+};
+
+/**
+ * a generator for SyntheticSource ( see DepthSource.js ), looping the named scene
+ * @method generator
+ * @static
+ * @param {String} [name] scene name ( default "visitor" )
+ * @param {Object} [config] SyntheticDepth config
+ * @return {Function} function( time, width, height ) returning { depth, truth }
+ */
+SyntheticDepth.generator = function( name, config ) {
+
+	var scene = null;
+	config = config || {};
+
+	return function( time, width, height ){
+		if( scene === null || scene.width !== width || scene.height !== height ){
+			config.width = width;
+			config.height = height;
+			config.loop = true;
+			scene = SyntheticDepth.scene( name || "visitor", config );
+		}
+		return scene.frame( time );
+	};
+};
+
+
+// ~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~._.~`~. private ~`~._.~`~._.~`~._.~`~._.~`~._.~`~.
+
+// lateral position ( mm ) at which a figure at this distance is fully out of frame
+SyntheticDepth.prototype._offstage = function( distance ) {
+	return ( this.cx / this.f ) * distance + 600;
+};
+
+// where the figure is && what it's doing at this time, null when it's not in the scene
+SyntheticDepth.prototype._pose = function( fig, time ) {
+
+	var script = fig.script;
+	if( time < fig.delay ) return ( fig.offstageAtStart ) ? null : { action: "stand", x: fig.x, t: 0, walking: false };
+	if( time >= fig.end ){
+		var last = script[ script.length - 1 ];
+		return ( last.action == "leave" ) ? null : { action: "stand", x: last.x1, t: 0, walking: false };
+	}
+
+	for (var i = 0; i < script.length; i++) {
+		var step = script[i];
+		if( time < step.start + step.duration ){
+			var p = ( time - step.start ) / step.duration;
+			return {
+				action: step.action,
+				x: step.x0 + ( step.x1 - step.x0 ) * p,
+				t: time - step.start,
+				walking: step.x0 !== step.x1
+			};
+		}
+	}
+	return null;
+};
+
+// draws head, torso, arms && legs as capsules, returns the bbox of what ended up in frame
+SyntheticDepth.prototype._drawFigure = function( fig, pose ) {
+
+	var H = fig.height, X = pose.x, t = pose.t;
+	var floor = -this.cameraHeight; // camera space, y up, mm
+	var swing = ( pose.walking ) ? Math.sin( t / 160 ) * 250 : 0;
+	var bob = ( pose.walking ) ? Math.abs( Math.sin( t / 160 ) ) * 30 : 0;
+
+	var hip = floor + H * 0.52 + bob, shoulder = floor + H * 0.82 + bob, head = floor + H * 0.93 + bob;
+	var half = H * 0.12;
+
+	// right hand ( figure's right, image left ) waves overhead
+	var hand = [ X - half - 60 - swing * 0.6, hip ];
+	if( pose.action == "wave" ) hand = [ X - half - 300 + Math.sin( t / 150 ) * 180, head + 250 ];
+
+	var parts = [
+		[ X, head, X, head, 110 ],										// head
+		[ X, shoulder - 60, X, hip + 40, half ],						// torso
+		[ X - half * 0.5, hip, X - half * 0.5 + swing, floor + 50, 75 ],	// legs
+		[ X + half * 0.5, hip, X + half * 0.5 - swing, floor + 50, 75 ],
+		[ X + half + 20, shoulder - 40, X + half + 60 + swing * 0.6, hip, 55 ],	// left arm
+		[ X - half - 20, shoulder - 40, hand[0], hand[1], 55 ]			// right arm
+	];
+
+	var box = { x0: Infinity, y0: Infinity, x1: -1, y1: -1 };
+	for (var i = 0; i < parts.length; i++) this._capsule( fig.id, fig.distance, parts[i], box );
+
+	if( box.x1 === -1 ) return null;
+	return { x: box.x0, y: box.y0, width: box.x1 - box.x0 + 1, height: box.y1 - box.y0 + 1 };
+};
+
+// rasterises a capsule ( segment + radius, in mm at the figure's distance ) into the z buffer, rounded towards the camera
+SyntheticDepth.prototype._capsule = function( id, distance, c, box ) {
+
+	var s = this.f / distance; // px per mm at this distance
+	var ax = this.cx + c[0] * s, ay = this.cy - c[1] * s;
+	var bx = this.cx + c[2] * s, by = this.cy - c[3] * s;
+	var r = c[4] * s;
+
+	var x0 = Math.max( 0, Math.floor( Math.min( ax, bx ) - r ) ), x1 = Math.min( this.width - 1, Math.ceil( Math.max( ax, bx ) + r ) );
+	var y0 = Math.max( 0, Math.floor( Math.min( ay, by ) - r ) ), y1 = Math.min( this.height - 1, Math.ceil( Math.max( ay, by ) + r ) );
+	if( x0 > x1 || y0 > y1 ) return;
+
+	var dx = bx - ax, dy = by - ay;
+	var len2 = dx * dx + dy * dy;
+
+	for (var y = y0; y <= y1; y++) {
+		for (var x = x0; x <= x1; x++) {
+			var u = ( len2 > 0 ) ? Math.max( 0, Math.min( 1, ( (x - ax) * dx + (y - ay) * dy ) / len2 ) ) : 0;
+			var px = ax + u * dx - x, py = ay + u * dy - y;
+			var d2 = ( px * px + py * py ) / ( r * r );
+			if( d2 > 1 ) continue;
+
+			var i = y * this.width + x;
+			var zz = distance - c[4] * Math.sqrt( 1 - d2 );
+			if( zz < this._z[i] ){
+				this._z[i] = zz;
+				this._id[i] = id;
+			}
+
+			if( x < box.x0 ) box.x0 = x;
+			if( y < box.y0 ) box.y0 = y;
+			if( x > box.x1 ) box.x1 = x;
+			if( y > box.y1 ) box.y1 = y;
+		}
+	}
+};
+
+// mm -> raw, plus noise, dropouts && the IR shadow to the left of every figure
+SyntheticDepth.prototype._sensor = function( time ) {
+
+	var w = this.width, h = this.height;
+	var z = this._z, ids = this._id;
+	var out = new Uint16Array( w * h );
+	var rand = SyntheticDepth._random( this.seed * 100003 + Math.floor( time ) );
+
+	for (var y = 0, i = 0; y < h; y++) {
+		for (var x = 0; x < w; x++, i++) {
+
+			// a figure starts to the right, the projector can't light the background just left of it
+			if( x + 1 < w && ids[i + 1] !== -1 && ids[i] === -1 ){
+				var sw = Math.round( this.shadow * 1000 / z[i + 1] * ( 1 - z[i + 1] / z[i] ) );
+				for (var k = Math.max( 0, x - sw + 1 ); k <= x; k++) out[ y * w + k ] = 2047;
+				continue;
+			}
+
+			if( rand() < this.holes ){
+				out[i] = 2047;
+				continue;
+			}
+
+			var raw = ( 1000 / z[i] - 3.3309495161 ) / -0.0030711016;
+			raw += ( rand() + rand() - 1 ) * this.noise * ( z[i] / 2000 ); // noise grows with distance
+			out[i] = Math.max( 0, Math.min( 1083, Math.round( raw ) ) );
+		}
+	}
+
+	return out;
+};
+
+// small seeded prng ( numerical recipes lcg, exact in doubles && no Math.imul for node 0.10 )
+SyntheticDepth._random = function( seed ) {
+	var a = seed % 4294967296;
+	return function(){
+		a = ( a * 1664525 + 1013904223 ) % 4294967296;
+		return a / 4294967296;
+	};
+};
+
+
+if( typeof module !== "undefined" && module.exports ) module.exports = SyntheticDepth;
@@ -0,0 +1,71 @@
+/**
+ * draws the kinect-daemon's registered RGB stream ( 'kinect-video' ) to a canvas, for use as
+ * MeshFromDepth's 'colorData'. frames are already aligned to the depth image, so the same uv
+ * looks up a point's depth in DepthFromKinect's canvas && its color in this one
+ * @class VideoFromKinect
+ * @constructor
+ * @param {Number} [width] optional canvas width ( default 640 like Kinect )
+ * @param {Number} [height] optional canvas height ( default 480 like Kinect )
+ * @property {Number} seq sequence number of the depth frame the last video frame was registered to
+ */
+
+function VideoFromKinect( width, height ){
+
+	if( typeof width === "undefined" ){
+		this.width = 640;
+	} else {
+		if( typeof width !== "number" ) throw new Error('VideoFromKinect: width should be a number');
+		else this.width = width;
+	}
+	if( typeof height === "undefined" ){
+		this.height = 480;
+	} else {
+		if( typeof height !== "number" ) throw new Error('VideoFromKinect: height should be a number');
+		else this.height = height;
+	}
+
+	this.seq = -1;
+
+	this.canvas = document.createElement('canvas');
+	this.canvas.width = this.width;
+	this.canvas.height = this.height;
+	this.ctx = this.canvas.getContext('2d');
+	this.imageData = this.ctx.createImageData( this.width, this.height );
+}
+
+
+/**
+ * reads a 'kinect-video' message ( DepthFrame header + 3 bytes per pixel ) && draws it
+ * @method readFrame
+ * @param {ArrayBuffer} data message as received from the kinect-daemon
+ * @return {Object} the unpacked DepthFrame ( 'depth' holds the rgb bytes )
+ */
+VideoFromKinect.prototype.readFrame = function( data ) {
+
+	if(typeof DepthFrame === 'undefined') throw new Error('VideoFromKinect: readFrame requires DepthFrame.js');
+
+	var frame = DepthFrame.unpack( data );
+	var rgb = frame.depth;
+
+	// daemon side stream params ( crop / downsample ) apply to video too
+	if( frame.width !== this.width || frame.height !== this.height ){
+		console.warn('VideoFromKinect: expected ' + this.width + 'x' + this.height + ' video, got ' + frame.width + 'x' + frame.height);
+		return frame;
+	}
+
+	var data = this.imageData.data;
+	var j = 0;
+
+	for (var i = 0; i < rgb.length; i += 3) {
+		data[j] = rgb[i];
+		data[j + 1] = rgb[i + 1];
+		data[j + 2] = rgb[i + 2];
+		data[j + 3] = 255;
+		j += 4;
+	}
+
+	this.ctx.putImageData( this.imageData, 0, 0 );
+	this.seq = frame.seq;
+
+	return frame;
+};
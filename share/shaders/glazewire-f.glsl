@@ -13,7 +13,7 @@ float xWave(float t, float speed, float range, float size ){
 	float x = ceil(vPos.x);
 	float minSeg = ceil(640.0/50.0*(st-size/2.0));
 	float maxSeg = ceil(640.0/50.0*(st+size/2.0));
-	if( x >= minSeg && x <= maxSeg && vDepth > 0.6471 ) return 1.0;
+	if( x >= minSeg && x <= maxSeg && vDepth > 0.0 ) return 1.0;
 	else return 0.3;
 }
 
@@ -26,7 +26,7 @@ void main() {
 	float alpha = xWave( time, 0.0005, 150.0, 20.0 );
 
 	if( motionGate<=1 )	alpha = alpha;
-	else if( motionGate==2 )	alpha = (vDepth<=0.6471) ? 0.0 : 1.0;
+	else if( motionGate==2 )	alpha = (vDepth<=0.0) ? 0.0 : 1.0;
 
 	gl_FragColor = vec4( r, g, b, alpha );
 		
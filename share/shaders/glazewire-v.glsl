@@ -1,8 +1,13 @@
 precision mediump float;
 
-uniform sampler2D map; // kinect canvas img
+uniform sampler2D map; // kinect depth, see MeshFromDepth
+uniform sampler2D flowTex;	// optical flow, a texel per cell ( see share/OpticalFlowField.js )
+uniform vec2 flowMotion;	// the visitor's overall motion, -1.0 - 1.0 either way, y up
+uniform float flowAmount;	// mm points move at full speed, 0.0 leaves them put
+uniform float nearClip;	// cm
+uniform float farClip;	// cm, anything farther is flattened onto it
 
-float zoffset = 2048.0/4.0;
+float zoffset = 600.0;	// mm, roughly where the visitor stands
 
 varying vec2 vUv;
 varying vec3 vPos;
@@ -15,14 +20,16 @@ void main() {
 	vUv = uv; 
 	vPos = position;
 
-	// use kinect canvas map as z-depth 
-	vec4 depth = texture2D( map, uv );
-	float d = ( depth.r + depth.g ) / 2.0;
-	d = clamp( d, 0.6471, 1.0 );
-	vDepth = d; // pass to fragment-shader
-	float z = (1.0-d) * 2048.0; 
+	// real position from the depth texture ( kinectRaw, kinectMm && kinectPoint are prepended by MeshFromDepth )
+	float mm = clamp( kinectMm( kinectRaw( texture2D( map, uv ) ) ), nearClip * 10.0, farClip * 10.0 );
+	vDepth = ( farClip - mm / 10.0 ) / ( farClip - nearClip ); // pass to fragment-shader, 1.0 near, 0.0 far
+	vec3 p = kinectPoint( uv, mm );
 	
-	vec4 pos = vec4( position.x, position.y, -z+zoffset, 1.0 );
+	// the wires lean the way the visitor's moving, same as huepoints-v.glsl
+	vec4 flow = texture2D( flowTex, vec2( uv.x, 1.0 - uv.y ) );
+	vec2 bend = mix( flowMotion * 0.25, ( flow.rg - 0.5 ) * vec2( 2.0, -2.0 ), flow.a ) * flowAmount;
+
+	vec4 pos = vec4( p.x + bend.x, -p.y + bend.y, -p.z+zoffset, 1.0 );
 
 	gl_Position = projectionMatrix * modelViewMatrix * pos;
 
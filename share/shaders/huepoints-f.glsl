@@ -5,6 +5,8 @@ uniform float time;
 uniform float smoothMotion;
 uniform float motionFade;
 uniform int motionGate;
+uniform sampler2D colorMap;	// registered rgb canvas ( optional )
+uniform float colorMix;		// 0.0 = hue look, 1.0 = visitor's real colors
 // uniform sampler2D map; // kinect canvas
 // uniform sampler2D diffTex;	// frame diff canvas
 
@@ -44,18 +46,18 @@ vec3 hsv2rgb( float h, float s, float v ){
 
 void main() {
 	
-	float d = scale( vDepth, 0.6471, 1.0, 0.0, 0.75 );				
+	float d = scale( vDepth, 0.0, 1.0, 0.0, 0.75 );				
 
 	float alpha;
-	if(vDepth <= 0.648 ) alpha = 0.0;
+	if(vDepth <= 0.0 ) alpha = 0.0; // at or past farClip
 	else alpha = d;
 	
 	float maxDeg = 360.0 * smoothMotion * 2500.0;// the larger, the tighter the rainbow
-	float dHue = scale( vDepth, 0.6471, 1.0, 0.0, maxDeg );	
+	float dHue = scale( vDepth, 0.0, 1.0, 0.0, maxDeg );	
 	float angle;
 		
 	if( motionGate < 2 ){
-		vec4 purple = vec4( hsv2rgb( scale( vDepth, 0.6471, 1.0, 270.0, 360.0), 1.0, 1.0 ), alpha );
+		vec4 purple = vec4( hsv2rgb( scale( vDepth, 0.0, 1.0, 270.0, 360.0), 1.0, 1.0 ), alpha );
 		vec4 rainbow = vec4( hsv2rgb( dHue, 0.85, 1.0 ), alpha );
 		vec4 mixClr = mix( purple, rainbow, vec4(motionFade) );		
 		gl_FragColor = mixClr;
@@ -68,5 +70,10 @@ void main() {
 		}
 		else  { gl_FragColor = vec4( 1.0, 1.0, 1.0, alpha ); }		
 	}
+
+	if( colorMix > 0.0 ){
+		vec3 real = texture2D( colorMap, vUv ).rgb;
+		gl_FragColor.rgb = mix( gl_FragColor.rgb, real, colorMix );
+	}
 	 					
 }
\ No newline at end of file
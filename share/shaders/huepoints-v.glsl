@@ -4,15 +4,22 @@ uniform float time;
 uniform float motion;
 uniform float smoothMotion;
 uniform int motionGate;
-uniform sampler2D map;		// kinect canvas
+uniform sampler2D map;		// kinect depth, see MeshFromDepth
 uniform sampler2D diffTex;	// frame diff canvas
 uniform sampler2D webglTex;
+uniform sampler2D flowTex;	// optical flow, a texel per cell ( see share/OpticalFlowField.js )
+uniform vec2 flowMotion;	// the visitor's overall motion, -1.0 - 1.0 either way, y up
+uniform float flowAmount;	// mm points move at full speed, 0.0 leaves them put
+uniform sampler2D motionGrid;	// motion per grid cell, in red ( see MotionGrid in installation/app.js )
+uniform float motionGridAmount;	// how much more cells that moved ripple, 0.0 ( or unset ) ignores motionGrid
 
 // uniform float width;
 // uniform float height;
 uniform float pointsize;
+uniform float nearClip;		// cm
+uniform float farClip;		// cm, anything farther is flattened onto it
 
-float zoffset = 2048.0/4.0;
+float zoffset = 600.0;		// mm, roughly where the visitor stands
 
 varying vec2 vUv;
 varying vec3 vPos;
@@ -29,24 +36,27 @@ void main() {
 	// pass fragement-shader uv's ( to be used w/ texture map )
 	vUv = uv;
 
-	// use color from canvas as z-depth 
-	vec4 depth = texture2D( map, uv );
-	float d = ( depth.r + depth.g ) / 2.0;
-	d = clamp( d, 0.6471, 1.0 );
-	vDepth = d; // pass to fragment shader
-	float z = (1.0-d) * 2048.0; 
+	// real position from the depth texture ( kinectRaw, kinectMm && kinectPoint are prepended by MeshFromDepth )
+	float mm = clamp( kinectMm( kinectRaw( texture2D( map, uv ) ) ), nearClip * 10.0, farClip * 10.0 );
+	vDepth = ( farClip - mm / 10.0 ) / ( farClip - nearClip ); // pass to fragment shader, 1.0 near, 0.0 far
+	vec3 p = kinectPoint( uv, mm );
 	
 	
 	float ripple;
 	if( motionGate >= 1){
 		vec4 rippleTex = texture2D( webglTex, uv );
-		ripple = rippleTex.r*( smoothMotion * 15000.0 );
+		float local = texture2D( motionGrid, vec2( uv.x, 1.0 - uv.y ) ).r; // rows run top to bottom, like flowTex
+		ripple = rippleTex.r*( smoothMotion * 15000.0 )*( 1.0 + local * motionGridAmount );
 	} else {
 		ripple = 0.0;
 	}
 	
 
-	vec4 pos = vec4( position.x, position.y, -z+zoffset + ripple, 1.0 );
+	// bend along the way the visitor's moving: the flow right there where something moved, a touch of the overall motion elsewhere
+	vec4 flow = texture2D( flowTex, vec2( uv.x, 1.0 - uv.y ) ); // the field's rows run top to bottom
+	vec2 bend = mix( flowMotion * 0.25, ( flow.rg - 0.5 ) * vec2( 2.0, -2.0 ), flow.a ) * flowAmount;
+
+	vec4 pos = vec4( p.x + bend.x, -p.y + bend.y, -p.z+zoffset + ripple, 1.0 );
 	
 	if(  motionGate>=1 && texture2D(diffTex, vUv).r == 1.0 )
 		gl_PointSize = pointsize * (motion*2000.0);